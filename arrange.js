@@ -0,0 +1,179 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file computes the layouts used to arrange all notes.
+ *            Layouts are computed per monitor inside its work area, so notes
+ *            never end up under the panel or a dock.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+/**
+ * Layouts shown in the panel menu
+ */
+export const LAYOUTS = [
+	{ id: 'grid', label: "Grid" },
+	{ id: 'cascade', label: "Cascade" },
+	{ id: 'column', label: "Column on the right" },
+	{ id: 'pack', label: "Pack by size" },
+];
+
+/**
+ * Space between notes and around the work area, in pixels
+ */
+const GAP = 12;
+
+/**
+ * Offset between cascaded notes, in pixels
+ */
+const CASCADE_STEP = 32;
+
+/**
+ * Place notes in a grid of equal cells, row by row
+ *
+ * The grid is about square, with more columns if the rows don't fit
+ * the height of the work area.
+ *
+ * @param {object[]} sizes - Note sizes as `{ width, height }`
+ * @param {object} area - Work area as `{ width, height }`
+ * @returns {object[]} - Positions as `{ x, y }`
+ */
+function gridLayout(sizes, area) {
+	const cellWidth = Math.max(...sizes.map(size => size.width)) + GAP;
+	const cellHeight = Math.max(...sizes.map(size => size.height)) + GAP;
+	const fitting = Math.max(1, Math.floor((area.width - GAP) / cellWidth));
+	const fittingRows = Math.max(1, Math.floor((area.height - GAP) / cellHeight));
+	const columns = Math.min(fitting,
+		Math.max(Math.ceil(Math.sqrt(sizes.length)), Math.ceil(sizes.length / fittingRows)));
+	return sizes.map((size, index) => ({
+		x: GAP + (index % columns) * cellWidth,
+		y: GAP + Math.floor(index / columns) * cellHeight,
+	}));
+}
+
+/**
+ * Place notes diagonally on top of each other, starting over at the top
+ * when the work area is full
+ *
+ * @param {object[]} sizes - Note sizes as `{ width, height }`
+ * @param {object} area - Work area as `{ width, height }`
+ * @returns {object[]} - Positions as `{ x, y }`
+ */
+function cascadeLayout(sizes, area) {
+	let x = GAP;
+	let y = GAP;
+	let columnStart = GAP;
+	return sizes.map(size => {
+		if (y + size.height > area.height - GAP) {
+			columnStart += CASCADE_STEP * 2;
+			x = columnStart;
+			y = GAP;
+		}
+		if (x + size.width > area.width - GAP) {
+			columnStart = GAP;
+			x = GAP;
+		}
+		const position = { x, y };
+		x += CASCADE_STEP;
+		y += CASCADE_STEP;
+		return position;
+	});
+}
+
+/**
+ * Stack notes along the right edge, continuing in a new column to the left
+ *
+ * @param {object[]} sizes - Note sizes as `{ width, height }`
+ * @param {object} area - Work area as `{ width, height }`
+ * @returns {object[]} - Positions as `{ x, y }`
+ */
+function columnLayout(sizes, area) {
+	let right = area.width - GAP;
+	let y = GAP;
+	let columnWidth = 0;
+	return sizes.map(size => {
+		if (y > GAP && y + size.height > area.height - GAP) {
+			right -= columnWidth + GAP;
+			y = GAP;
+			columnWidth = 0;
+		}
+		const position = { x: right - size.width, y };
+		y += size.height + GAP;
+		columnWidth = Math.max(columnWidth, size.width);
+		return position;
+	});
+}
+
+/**
+ * Pack notes in rows, the biggest notes first
+ *
+ * @param {object[]} sizes - Note sizes as `{ width, height }`
+ * @param {object} area - Work area as `{ width, height }`
+ * @returns {object[]} - Positions as `{ x, y }`, in the order of `sizes`
+ */
+function packLayout(sizes, area) {
+	const order = sizes.map((size, index) => index)
+		.sort((a, b) => sizes[b].width * sizes[b].height - sizes[a].width * sizes[a].height);
+
+	const positions = [];
+	let x = GAP;
+	let y = GAP;
+	let rowHeight = 0;
+	for (const index of order) {
+		const size = sizes[index];
+		if (x > GAP && x + size.width > area.width - GAP) {
+			x = GAP;
+			y += rowHeight + GAP;
+			rowHeight = 0;
+		}
+		positions[index] = { x, y };
+		x += size.width + GAP;
+		rowHeight = Math.max(rowHeight, size.height);
+	}
+	return positions;
+}
+
+const LAYOUT_FUNCTIONS = {
+	grid: gridLayout,
+	cascade: cascadeLayout,
+	column: columnLayout,
+	pack: packLayout,
+};
+
+/**
+ * Check whether all notes of a layout are inside the work area
+ *
+ * @param {object[]} positions - Positions as `{ x, y }`
+ * @param {object[]} sizes - Note sizes as `{ width, height }`
+ * @param {object} area - Work area as `{ width, height }`
+ * @returns {boolean}
+ */
+function fits(positions, sizes, area) {
+	return positions.every((position, index) =>
+		position.x >= 0 && position.y >= 0 &&
+		position.x + sizes[index].width <= area.width &&
+		position.y + sizes[index].height <= area.height);
+}
+
+/**
+ * Compute the positions of notes for a layout
+ *
+ * Layouts that don't fit the work area, with too many or too large
+ * notes, fall back to the cascade, which overlaps notes on purpose
+ * instead of piling them up where they are pushed back into the area.
+ *
+ * @param {string} layout - ID of one of the LAYOUTS
+ * @param {object[]} sizes - Note sizes as `{ width, height }`
+ * @param {object} area - Work area as `{ x, y, width, height }`
+ * @returns {object[]} - Positions as `{ x, y }` in the coordinates of `area`, in the order of `sizes`
+ */
+export function computeLayout(layout, sizes, area) {
+	if (sizes.length === 0) {
+		return [];
+	}
+	const positions = LAYOUT_FUNCTIONS[layout](sizes, area);
+	return fits(positions, sizes, area) ? positions : cascadeLayout(sizes, area);
+}
@@ -0,0 +1,329 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file provides the checklist body of to-do notes.
+ *            Every item is a row with a checkbox and a one-line entry.
+ *            Keys in an item: Enter adds an item below, Backspace on an empty
+ *            item removes it, Alt+Up/Down moves it and Ctrl+Space checks it.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import Clutter from 'gi://Clutter';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+
+// Parsing and formatting live in their own module, kept available here
+export { parseChecklist, formatChecklist } from './checklistText.js';
+
+/**
+ * ChecklistView class
+ *
+ * Vertical list of checklist rows with an "Add item" button at the end.
+ * Emits `changed` whenever an item is edited, checked, added, removed or moved.
+ */
+export const ChecklistView = GObject.registerClass({
+	GTypeName: 'NotesChecklistView',
+	Signals: {
+		'changed': {},
+	},
+}, class ChecklistView extends St.BoxLayout {
+	/**
+	 * Create a checklist view
+	 *
+	 * @param {Function} onFocusRequest - Called with an entry that should get the key focus
+	 */
+	_init(onFocusRequest) {
+		super._init({
+			vertical: true,
+			x_expand: true,
+			reactive: true,
+			style_class: 'notesChecklist',
+		});
+		this._onFocusRequest = onFocusRequest;
+		this._items = [];
+		this._rows = [];
+		this._textStyle = '';
+
+		this._rowsBox = new St.BoxLayout({ vertical: true, x_expand: true });
+		this.add_child(this._rowsBox);
+
+		const addButton = new St.Button({
+			label: "+ Add item",
+			style_class: 'notesChecklistAdd',
+			x_align: Clutter.ActorAlign.START,
+			can_focus: true,
+		});
+		addButton.connect('clicked', () => this._insertItem(this._items.length));
+		this.add_child(addButton);
+	}
+
+	/**
+	 * Replace all items
+	 *
+	 * All rows are recreated, so the key focus must be released before.
+	 *
+	 * @param {object[]} items - Items as `{ text, done }`
+	 */
+	setItems(items) {
+		this._items = items.map(item => ({ text: String(item.text ?? ''), done: Boolean(item.done) }));
+		this._rebuild();
+	}
+
+	/**
+	 * Get a copy of the items
+	 *
+	 * @returns {object[]} - Items as `{ text, done }`
+	 */
+	getItems() {
+		return this._items.map(item => ({ ...item }));
+	}
+
+	/**
+	 * Count the items
+	 *
+	 * @returns {object} - `{ done, total }`
+	 */
+	getCounts() {
+		return {
+			done: this._items.filter(item => item.done).length,
+			total: this._items.length,
+		};
+	}
+
+	/**
+	 * Remove all checked items
+	 *
+	 * All rows are recreated, so the key focus must be released before.
+	 */
+	clearCompleted() {
+		this._items = this._items.filter(item => !item.done);
+		this._rebuild();
+		this.emit('changed');
+	}
+
+	/**
+	 * Apply the note's text style to the item entries
+	 *
+	 * @param {string} style - Inline CSS of the note text
+	 */
+	setTextStyle(style) {
+		this._textStyle = style;
+		this._rows.forEach(row => {
+			row.entry.style = style;
+		});
+	}
+
+	/**
+	 * Focus an item's entry
+	 *
+	 * An empty checklist gets a first item to type in.
+	 *
+	 * @param {number} index - Item index, clamped to the list
+	 */
+	focusItem(index) {
+		if (this._rows.length === 0) {
+			this._insertItem(0);
+			return;
+		}
+		const row = this._rows[Math.max(0, Math.min(index, this._rows.length - 1))];
+		this._onFocusRequest(row.entry);
+	}
+
+	/**
+	 * Recreate the rows from the items
+	 */
+	_rebuild() {
+		this._rowsBox.destroy_all_children();
+		this._rows = this._items.map(item => {
+			const row = this._buildRow(item);
+			this._rowsBox.add_child(row.box);
+			return row;
+		});
+	}
+
+	/**
+	 * Build the row of an item
+	 *
+	 * @param {object} item - Item as `{ text, done }`
+	 * @returns {object} - `{ box, icon, entry }`
+	 */
+	_buildRow(item) {
+		const box = new St.BoxLayout({
+			vertical: false,
+			x_expand: true,
+			style_class: 'notesChecklistRow',
+		});
+		const icon = new St.Icon({ icon_size: 16 });
+		const entry = new St.Entry({
+			can_focus: true,
+			x_expand: true,
+			style_class: 'notesChecklistEntry',
+			style: this._textStyle,
+		});
+		const row = { box, icon, entry };
+		const indexOfRow = () => this._rows.indexOf(row);
+
+		const checkButton = new St.Button({
+			child: icon,
+			style_class: 'notesButton',
+			can_focus: true,
+			accessible_name: "Done",
+			y_align: Clutter.ActorAlign.CENTER,
+		});
+		checkButton.connect('clicked', () => this._toggleItem(indexOfRow()));
+		box.add_child(checkButton);
+		box.add_child(entry);
+
+		entry.connect('button-press-event', () => {
+			this._onFocusRequest(entry);
+			return Clutter.EVENT_PROPAGATE;
+		});
+		entry.clutter_text.connect('text-changed', () => {
+			const index = indexOfRow();
+			if (index !== -1 && this._items[index].text !== entry.get_text()) {
+				this._items[index].text = entry.get_text();
+				this.emit('changed');
+			}
+		});
+		entry.clutter_text.connect('activate', () => this._insertItem(indexOfRow() + 1));
+		entry.clutter_text.connect('key-press-event', (actor, event) =>
+			this._onItemKeyPress(indexOfRow(), entry, event));
+
+		this._syncRow(row, item);
+		return row;
+	}
+
+	/**
+	 * Show an item in a row
+	 *
+	 * @param {object} row - Row as `{ box, icon, entry }`
+	 * @param {object} item - Item as `{ text, done }`
+	 */
+	_syncRow(row, item) {
+		row.icon.icon_name = item.done ? 'checkbox-checked-symbolic' : 'checkbox-symbolic';
+		if (item.done) {
+			row.entry.add_style_pseudo_class('checked');
+		} else {
+			row.entry.remove_style_pseudo_class('checked');
+		}
+		if (row.entry.get_text() !== item.text) {
+			row.entry.set_text(item.text);
+		}
+	}
+
+	/**
+	 * Handle the item keyboard shortcuts
+	 *
+	 * @param {number} index - Item index
+	 * @param {St.Entry} entry - Entry of the item
+	 * @param {Clutter.Event} event - Key event
+	 * @returns {boolean} - Whether the event was handled
+	 */
+	_onItemKeyPress(index, entry, event) {
+		const symbol = event.get_key_symbol();
+		const state = event.get_state();
+
+		if (state & Clutter.ModifierType.MOD1_MASK) {
+			if (symbol === Clutter.KEY_Up) {
+				this._moveItem(index, index - 1);
+				return Clutter.EVENT_STOP;
+			} else if (symbol === Clutter.KEY_Down) {
+				this._moveItem(index, index + 1);
+				return Clutter.EVENT_STOP;
+			}
+		}
+
+		if ((state & Clutter.ModifierType.CONTROL_MASK) && symbol === Clutter.KEY_space) {
+			this._toggleItem(index);
+			return Clutter.EVENT_STOP;
+		}
+
+		if (symbol === Clutter.KEY_BackSpace && entry.get_text() === '') {
+			this._removeItem(index);
+			return Clutter.EVENT_STOP;
+		}
+
+		if (symbol === Clutter.KEY_Up && index > 0) {
+			this.focusItem(index - 1);
+			return Clutter.EVENT_STOP;
+		} else if (symbol === Clutter.KEY_Down && index < this._rows.length - 1) {
+			this.focusItem(index + 1);
+			return Clutter.EVENT_STOP;
+		}
+
+		return Clutter.EVENT_PROPAGATE;
+	}
+
+	/**
+	 * Add an empty item and focus it
+	 *
+	 * @param {number} index - Position of the new item
+	 */
+	_insertItem(index) {
+		const item = { text: '', done: false };
+		const row = this._buildRow(item);
+		this._items.splice(index, 0, item);
+		this._rows.splice(index, 0, row);
+		this._rowsBox.insert_child_at_index(row.box, index);
+		this.emit('changed');
+		this._onFocusRequest(row.entry);
+	}
+
+	/**
+	 * Remove an item and focus the one above
+	 *
+	 * The focus moves before the row is destroyed, so no grab is left on it.
+	 *
+	 * @param {number} index - Item index
+	 */
+	_removeItem(index) {
+		const [row] = this._rows.splice(index, 1);
+		this._items.splice(index, 1);
+		if (this._rows.length > 0) {
+			this.focusItem(index - 1);
+		} else {
+			this._onFocusRequest(null);
+		}
+		row.box.destroy();
+		this.emit('changed');
+	}
+
+	/**
+	 * Check or uncheck an item
+	 *
+	 * @param {number} index - Item index
+	 */
+	_toggleItem(index) {
+		if (index < 0 || index >= this._items.length) {
+			return;
+		}
+		this._items[index].done = !this._items[index].done;
+		this._syncRow(this._rows[index], this._items[index]);
+		this.emit('changed');
+	}
+
+	/**
+	 * Move an item and keep it focused
+	 *
+	 * The rows stay in place and swap their contents, so the focused entry is
+	 * never destroyed while it holds the grab.
+	 *
+	 * @param {number} from - Current index
+	 * @param {number} to - New index
+	 */
+	_moveItem(from, to) {
+		if (to < 0 || to >= this._items.length) {
+			return;
+		}
+		[this._items[from], this._items[to]] = [this._items[to], this._items[from]];
+		this._syncRow(this._rows[from], this._items[from]);
+		this._syncRow(this._rows[to], this._items[to]);
+		this.emit('changed');
+		this.focusItem(to);
+	}
+});
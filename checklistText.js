@@ -0,0 +1,49 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file converts between checklist items and their text.
+ *            Checklists are written as Markdown task lines (`- [x] item`).
+ *            It has no GNOME Shell dependencies, so the command-line tool
+ *            can use it too.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+/**
+ * Parse text into checklist items
+ *
+ * Understands Markdown task lines (`- [x] item`) and plain or bulleted
+ * lines, which become unchecked items. Empty lines are skipped.
+ *
+ * @param {string} text - Text to parse
+ * @returns {object[]} - Items as `{ text, done }`
+ */
+export function parseChecklist(text) {
+	const items = [];
+	for (const line of text.split('\n')) {
+		if (line.trim() === '') {
+			continue;
+		}
+		const task = line.match(/^\s*[-*+]\s+\[([ xX])\]\s?(.*)$/);
+		if (task) {
+			items.push({ text: task[2], done: task[1] !== ' ' });
+			continue;
+		}
+		const bullet = line.match(/^\s*(?:[-*+]|\d+[.)])\s+(.*)$/);
+		items.push({ text: bullet ? bullet[1] : line.trim(), done: false });
+	}
+	return items;
+}
+
+/**
+ * Format checklist items as Markdown task lines
+ *
+ * @param {object[]} items - Items as `{ text, done }`
+ * @returns {string} - One `- [ ] item` line per item
+ */
+export function formatChecklist(items) {
+	return items.map(item => `- [${item.done ? 'x' : ' '}] ${item.text}`).join('\n');
+}
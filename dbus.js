@@ -0,0 +1,256 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file exports the notes on the session bus, so scripts can
+ *            list, read, write, create and delete notes.
+ *            The object lives on the bus name of GNOME Shell, for example:
+ *            gdbus call --session --dest org.gnome.Shell
+ *              --object-path /org/gnome/Shell/Extensions/NotesSticky
+ *              --method org.gnome.Shell.Extensions.NotesSticky.List
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+// Import our own modules
+import * as NoteStore from './noteStore.js';
+
+/**
+ * Object path of the notes interface
+ */
+export const OBJECT_PATH = '/org/gnome/Shell/Extensions/NotesSticky';
+
+/**
+ * Name of the notes interface
+ */
+export const INTERFACE_NAME = 'org.gnome.Shell.Extensions.NotesSticky';
+
+/**
+ * Length of the text snippets returned by List
+ */
+const SNIPPET_LENGTH = 80;
+
+/**
+ * Introspection data of the notes interface
+ */
+const INTERFACE_XML = `
+<node>
+  <interface name="${INTERFACE_NAME}">
+    <!-- ID, text snippet and color ("r,g,b") of every note -->
+    <method name="List">
+      <arg type="a(sss)" direction="out" name="notes"/>
+    </method>
+    <method name="GetText">
+      <arg type="s" direction="in" name="id"/>
+      <arg type="s" direction="out" name="text"/>
+    </method>
+    <method name="SetText">
+      <arg type="s" direction="in" name="id"/>
+      <arg type="s" direction="in" name="text"/>
+    </method>
+    <!-- An empty color uses the default color. A negative position lets
+         the note pick a free place; otherwise it is in screen coordinates. -->
+    <method name="Create">
+      <arg type="s" direction="in" name="text"/>
+      <arg type="s" direction="in" name="color"/>
+      <arg type="i" direction="in" name="x"/>
+      <arg type="i" direction="in" name="y"/>
+      <arg type="s" direction="out" name="id"/>
+    </method>
+    <!-- Deleted notes are moved to the trash -->
+    <method name="Delete">
+      <arg type="s" direction="in" name="id"/>
+    </method>
+    <method name="Raise">
+      <arg type="s" direction="in" name="id"/>
+    </method>
+    <method name="Show"/>
+    <method name="Hide"/>
+    <signal name="NoteCreated">
+      <arg type="s" name="id"/>
+    </signal>
+    <signal name="NoteChanged">
+      <arg type="s" name="id"/>
+    </signal>
+    <signal name="NoteDeleted">
+      <arg type="s" name="id"/>
+    </signal>
+  </interface>
+</node>`;
+
+/**
+ * Build the error returned for invalid arguments
+ *
+ * @param {string} message - Error message
+ * @returns {GLib.Error}
+ */
+function invalidArgs(message) {
+	return new GLib.Error(Gio.DBusError, Gio.DBusError.INVALID_ARGS, message);
+}
+
+/**
+ * NotesDBus class
+ *
+ * Implements the D-Bus interface on top of the notes manager.
+ */
+export class NotesDBus {
+	/**
+	 * Export the interface
+	 *
+	 * @param {NotesManager} manager - Manager of the notes
+	 */
+	constructor(manager) {
+		this._manager = manager;
+		this._dbusObject = Gio.DBusExportedObject.wrapJSObject(INTERFACE_XML, this);
+		this._dbusObject.export(Gio.DBus.session, OBJECT_PATH);
+	}
+
+	/**
+	 * Find a note or fail the call
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {NoteBox} - The note
+	 * @throws if there is no note with the ID
+	 */
+	_getNote(id) {
+		const note = this._manager.findNote(id);
+		if (!note) {
+			throw invalidArgs(`No note with ID ${id}`);
+		}
+		return note;
+	}
+
+	/**
+	 * List the notes
+	 *
+	 * @returns {Array[]} - `[id, snippet, color]` of every note
+	 */
+	List() {
+		return this._manager.getNotes().map(note =>
+			[note.id, NoteStore.snippet(note.getText(), SNIPPET_LENGTH), note.customColor]);
+	}
+
+	/**
+	 * Get the text of a note
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {string} - Text, as Markdown task lines for checklists
+	 */
+	GetText(id) {
+		return this._getNote(id).getText();
+	}
+
+	/**
+	 * Replace the text of a note
+	 *
+	 * @param {string} id - Note ID
+	 * @param {string} text - New text
+	 */
+	SetText(id, text) {
+		const note = this._getNote(id);
+		note.setText(text);
+		note.onlySave();
+	}
+
+	/**
+	 * Create a note
+	 *
+	 * @param {string} text - Text of the note
+	 * @param {string} color - Color as "r,g,b", empty for the default color
+	 * @param {number} x - Screen X coordinate, negative for a free place
+	 * @param {number} y - Screen Y coordinate, negative for a free place
+	 * @returns {string} - ID of the new note
+	 */
+	Create(text, color, x, y) {
+		if (color !== '' && !/^\d{1,3},\d{1,3},\d{1,3}$/.test(color)) {
+			throw invalidArgs(`Color must be "r,g,b", not "${color}"`);
+		}
+		return this._manager.createNoteWithText(text, color || null, x, y).id;
+	}
+
+	/**
+	 * Move a note to the trash
+	 *
+	 * @param {string} id - Note ID
+	 */
+	Delete(id) {
+		this._manager.deleteNote(this._getNote(id));
+	}
+
+	/**
+	 * Show a note in front and focus it
+	 *
+	 * @param {string} id - Note ID
+	 */
+	Raise(id) {
+		this._manager.raiseNote(this._getNote(id));
+	}
+
+	/**
+	 * Show all notes
+	 */
+	Show() {
+		this._manager.setNotesVisible(true);
+	}
+
+	/**
+	 * Hide all notes
+	 */
+	Hide() {
+		this._manager.setNotesVisible(false);
+	}
+
+	/**
+	 * Emit a signal about a note
+	 *
+	 * @param {string} name - Signal name
+	 * @param {string} id - Note ID
+	 */
+	_emit(name, id) {
+		this._dbusObject?.emit_signal(name, new GLib.Variant('(s)', [id]));
+	}
+
+	/**
+	 * Tell scripts about a new note
+	 *
+	 * @param {string} id - Note ID
+	 */
+	noteCreated(id) {
+		this._emit('NoteCreated', id);
+	}
+
+	/**
+	 * Tell scripts about a saved change of a note
+	 *
+	 * @param {string} id - Note ID
+	 */
+	noteChanged(id) {
+		this._emit('NoteChanged', id);
+	}
+
+	/**
+	 * Tell scripts about a deleted note
+	 *
+	 * @param {string} id - Note ID
+	 */
+	noteDeleted(id) {
+		this._emit('NoteDeleted', id);
+	}
+
+	/**
+	 * Unexport the interface
+	 */
+	destroy() {
+		if (this._dbusObject) {
+			this._dbusObject.flush();
+			this._dbusObject.unexport();
+			this._dbusObject = null;
+		}
+	}
+}
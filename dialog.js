@@ -22,6 +22,7 @@ import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
 
 // Import our own modules
 import * as NoteBox from './noteBox.js';
+import * as Reminders from './reminders.js';
 
 /**
  * Dialog class
@@ -94,6 +95,94 @@ class Dialog {
 		dialog.open();
 	}
 
+	/**
+	 * Show a dialog asking for a line of text
+	 * 
+	 * @param {string} title - Dialog title
+	 * @param {string} message - Dialog message
+	 * @param {string} initialText - Text the entry starts with
+	 * @param {Function} callback - Function called with the entered text when confirmed
+	 */
+	static showPrompt(title, message, initialText, callback) {
+		const dialog = new ModalDialog.ModalDialog();
+		dialog.title = title;
+		
+		// Create message label
+		const messageLabel = new St.Label({
+			text: message,
+			style: 'padding: 10px 0;'
+		});
+		dialog.contentLayout.add_child(messageLabel);
+
+		const entry = new St.Entry({
+			text: initialText,
+			can_focus: true,
+			x_expand: true
+		});
+		dialog.contentLayout.add_child(entry);
+		dialog.setInitialKeyFocus(entry.clutter_text);
+
+		const confirm = () => {
+			callback(entry.get_text());
+			dialog.close();
+		};
+		entry.clutter_text.connect('activate', confirm);
+		
+		dialog.addButton({
+			label: "Cancel",
+			action: () => {
+				dialog.close();
+			},
+			key: 0
+		});
+		dialog.addButton({
+			label: "OK",
+			action: confirm,
+			default: true
+		});
+		dialog.open();
+		entry.clutter_text.set_selection(0, -1);
+	}
+
+	/**
+	 * Show a dialog offering a choice between several actions
+	 * 
+	 * @param {string} title - Dialog title
+	 * @param {string} message - Dialog message
+	 * @param {object[]} choices - Buttons as `{ label, callback }`, the last one is the default
+	 */
+	static showChoice(title, message, choices) {
+		const dialog = new ModalDialog.ModalDialog();
+		dialog.title = title;
+		
+		// Create message label
+		const messageLabel = new St.Label({
+			text: message,
+			style: 'text-align: center; padding: 10px;'
+		});
+		messageLabel.clutter_text.line_wrap = true;
+		dialog.contentLayout.add_child(messageLabel);
+		
+		dialog.addButton({
+			label: "Cancel",
+			action: () => {
+				dialog.close();
+			},
+			key: 0
+		});
+		choices.forEach((choice, index) => {
+			dialog.addButton({
+				label: choice.label,
+				action: () => {
+					choice.callback();
+					dialog.close();
+				},
+				default: index === choices.length - 1
+			});
+		});
+		dialog.open();
+	}
+
 	/**
 	 * Show an error dialog
 	 * 
@@ -119,6 +208,242 @@ class Dialog {
 		});
 		dialog.open();
 	}
+
+	/**
+	 * Show the revision history of a note
+	 * 
+	 * Lists the revisions by time. The selected revision is previewed and
+	 * can be copied to the clipboard or restored into the note.
+	 * 
+	 * @param {object[]} revisions - Revisions as `{ time, text }`, newest first
+	 * @param {Function} onRestore - Called with the text of the revision to restore
+	 */
+	static showHistory(revisions, onRestore) {
+		const dialog = new ModalDialog.ModalDialog();
+		dialog.contentLayout.add_child(new St.Label({
+			text: "Note history",
+			style_class: 'notes-dialog-title'
+		}));
+
+		if (revisions.length === 0) {
+			dialog.contentLayout.add_child(new St.Label({
+				text: "There are no earlier versions of this note yet.",
+				style: 'text-align: center; padding: 10px;'
+			}));
+			dialog.addButton({
+				label: "Close",
+				action: () => {
+					dialog.close();
+				},
+				key: 0
+			});
+			dialog.open();
+			return;
+		}
+
+		const content = new St.BoxLayout({
+			vertical: false,
+			style_class: 'notes-history'
+		});
+		dialog.contentLayout.add_child(content);
+
+		// List of revisions on the left
+		const list = new St.BoxLayout({ vertical: true });
+		const listScroll = new St.ScrollView({
+			style_class: 'notes-history-list',
+			overlay_scrollbars: true,
+			y_expand: true
+		});
+		listScroll.add_child(list);
+		content.add_child(listScroll);
+
+		// Preview of the selected revision on the right
+		const preview = new St.Label({ style_class: 'notes-history-preview' });
+		preview.clutter_text.set_line_wrap(true);
+		const previewBox = new St.BoxLayout({ vertical: true });
+		previewBox.add_child(preview);
+		const previewScroll = new St.ScrollView({
+			overlay_scrollbars: true,
+			x_expand: true,
+			y_expand: true
+		});
+		previewScroll.add_child(previewBox);
+		content.add_child(previewScroll);
+
+		let selected = null;
+		const buttons = revisions.map(revision => {
+			const time = GLib.DateTime.new_from_unix_local(Math.floor(revision.time / 1000));
+			const button = new St.Button({
+				label: time.format('%Y-%m-%d %H:%M'),
+				style_class: 'notes-history-item',
+				can_focus: true,
+				x_expand: true
+			});
+			button.connect('clicked', () => select(revision, button));
+			list.add_child(button);
+			return button;
+		});
+
+		const select = (revision, button) => {
+			selected = revision;
+			preview.text = revision.text;
+			buttons.forEach(b => b.remove_style_pseudo_class('checked'));
+			button.add_style_pseudo_class('checked');
+		};
+		select(revisions[0], buttons[0]);
+
+		dialog.addButton({
+			label: "Close",
+			action: () => {
+				dialog.close();
+			},
+			key: 0
+		});
+		dialog.addButton({
+			label: "Copy",
+			action: () => {
+				St.Clipboard.get_default().set_text(St.ClipboardType.CLIPBOARD, selected.text);
+			}
+		});
+		dialog.addButton({
+			label: "Restore",
+			action: () => {
+				onRestore(selected.text);
+				dialog.close();
+			},
+			default: true
+		});
+		dialog.open();
+	}
+
+	/**
+	 * Show a dialog to set the reminder of a note
+	 * 
+	 * The date is typed as YYYY-MM-DD and the time as HH:MM, in local time.
+	 * 
+	 * @param {object|null} reminder - Current reminder as `{ at, repeat, snoozedUntil }`, if any
+	 * @param {Function} callback - Called with the new reminder, or null to remove it
+	 */
+	static showReminder(reminder, callback) {
+		const dialog = new ModalDialog.ModalDialog();
+		dialog.contentLayout.add_child(new St.Label({
+			text: "Reminder",
+			style_class: 'notes-dialog-title'
+		}));
+
+		// New reminders start at the next full hour
+		const start = reminder
+			? GLib.DateTime.new_from_unix_local(Math.floor(reminder.at / 1000))
+			: GLib.DateTime.new_now_local().add_hours(1);
+
+		const fields = new St.BoxLayout({
+			vertical: false,
+			style_class: 'notes-reminder-fields'
+		});
+		const dateEntry = new St.Entry({
+			text: start.format('%Y-%m-%d'),
+			hint_text: "YYYY-MM-DD",
+			can_focus: true,
+			x_expand: true
+		});
+		const timeEntry = new St.Entry({
+			text: start.format(reminder ? '%H:%M' : '%H:00'),
+			hint_text: "HH:MM",
+			can_focus: true
+		});
+		fields.add_child(dateEntry);
+		fields.add_child(timeEntry);
+		dialog.contentLayout.add_child(fields);
+		dialog.setInitialKeyFocus(timeEntry.clutter_text);
+
+		// Repeat mode
+		const repeatBox = new St.BoxLayout({
+			vertical: false,
+			style_class: 'notes-reminder-fields'
+		});
+		const repeatLabels = { none: "Once", daily: "Daily", weekly: "Weekly" };
+		let repeat = reminder?.repeat ?? 'none';
+		const repeatButtons = Reminders.REPEAT_MODES.map(mode => {
+			const button = new St.Button({
+				label: repeatLabels[mode],
+				style_class: 'notes-reminder-repeat',
+				can_focus: true,
+				x_expand: true
+			});
+			button.connect('clicked', () => selectRepeat(mode));
+			repeatBox.add_child(button);
+			return button;
+		});
+		const selectRepeat = mode => {
+			repeat = mode;
+			Reminders.REPEAT_MODES.forEach((other, index) => {
+				if (other === mode) {
+					repeatButtons[index].add_style_pseudo_class('checked');
+				} else {
+					repeatButtons[index].remove_style_pseudo_class('checked');
+				}
+			});
+		};
+		selectRepeat(repeat);
+		dialog.contentLayout.add_child(repeatBox);
+
+		const errorLabel = new St.Label({
+			style_class: 'notes-reminder-error',
+			visible: false
+		});
+		dialog.contentLayout.add_child(errorLabel);
+
+		const showError = message => {
+			errorLabel.text = message;
+			errorLabel.show();
+		};
+
+		const confirm = () => {
+			const date = dateEntry.get_text().trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+			const time = timeEntry.get_text().trim().match(/^(\d{1,2}):(\d{2})$/);
+			const dateTime = date && time
+				? GLib.DateTime.new_local(Number(date[1]), Number(date[2]), Number(date[3]),
+					Number(time[1]), Number(time[2]), 0)
+				: null;
+			if (!dateTime) {
+				showError("Enter the date as YYYY-MM-DD and the time as HH:MM.");
+				return;
+			}
+
+			const at = dateTime.to_unix() * 1000;
+			if (repeat === 'none' && at <= Date.now()) {
+				showError("This time has already passed.");
+				return;
+			}
+			callback({ at, repeat, snoozedUntil: null });
+			dialog.close();
+		};
+		dateEntry.clutter_text.connect('activate', confirm);
+		timeEntry.clutter_text.connect('activate', confirm);
+
+		dialog.addButton({
+			label: "Cancel",
+			action: () => {
+				dialog.close();
+			},
+			key: 0
+		});
+		if (reminder) {
+			dialog.addButton({
+				label: "Remove",
+				action: () => {
+					callback(null);
+					dialog.close();
+				}
+			});
+		}
+		dialog.addButton({
+			label: "Set",
+			action: confirm,
+			default: true
+		});
+		dialog.open();
+	}
 }
 
 export default Dialog;
@@ -0,0 +1,339 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file exports notes to files and imports them again.
+ *            Markdown and plain text exports hold the titles and texts only.
+ *            A JSON bundle holds the full note documents, including color,
+ *            size, position, font and layout, and restores notes exactly.
+ *            In Markdown and plain text files, every note starts with its
+ *            title line, a heading in Markdown, and notes are separated by a
+ *            line with SEPARATORS[format]. Text lines that look like the
+ *            separator are escaped with a backslash.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import GLib from 'gi://GLib';
+
+// Import our own modules
+import * as NoteStore from './noteStore.js';
+import * as Checklist from './checklist.js';
+import * as Reminders from './reminders.js';
+
+/**
+ * Export formats shown in the menus
+ */
+export const FORMATS = [
+	{ id: 'markdown', label: "Markdown", extension: 'md' },
+	{ id: 'text', label: "Plain text", extension: 'txt' },
+	{ id: 'json', label: "JSON bundle", extension: 'json' },
+];
+
+/**
+ * Marks the JSON bundles written by this extension
+ */
+const BUNDLE_TYPE = 'notes-sticky-bundle';
+
+/**
+ * Lines separating the notes in text formats
+ */
+const SEPARATORS = {
+	markdown: '<!-- note -->',
+	text: '<<< note >>>',
+};
+
+/**
+ * Check whether a line is a separator with backslashes in front
+ *
+ * @param {string} line - Line of a note
+ * @param {string} separator - Separator of the format
+ * @param {number} minimum - Least number of backslashes
+ * @returns {boolean}
+ */
+function isEscapedSeparator(line, separator, minimum) {
+	const prefix = line.slice(0, line.length - separator.length);
+	return line.endsWith(separator) && prefix.length >= minimum && /^\\*$/.test(prefix);
+}
+
+/**
+ * Escape the text lines that would be read as a separator
+ *
+ * Such lines get one more backslash in front, which unescapeText() removes.
+ *
+ * @param {string} text - Note text
+ * @param {string} separator - Separator of the format
+ * @returns {string}
+ */
+function escapeText(text, separator) {
+	return text.split('\n')
+		.map(line => isEscapedSeparator(line, separator, 0) ? `\\${line}` : line)
+		.join('\n');
+}
+
+/**
+ * Undo escapeText()
+ *
+ * @param {string} text - Escaped note text
+ * @param {string} separator - Separator of the format
+ * @returns {string}
+ */
+function unescapeText(text, separator) {
+	return text.split('\n')
+		.map(line => isEscapedSeparator(line, separator, 1) ? line.slice(1) : line)
+		.join('\n');
+}
+
+/**
+ * Format notes for a file
+ *
+ * @param {object[]} documents - Note documents, as returned by `NoteBox.serialize()`
+ * @param {string} format - ID of one of the FORMATS
+ * @returns {string} - File contents
+ */
+export function exportNotes(documents, format) {
+	if (format === 'json') {
+		return JSON.stringify({
+			type: BUNDLE_TYPE,
+			version: NoteStore.SCHEMA_VERSION,
+			exportedAt: Date.now(),
+			notes: documents.map(document => ({ ...document, version: NoteStore.SCHEMA_VERSION })),
+		}, null, '\t');
+	}
+
+	// The title line is written for untitled notes too, so a first line
+	// of the text is never read as a title
+	const sections = documents.map(document => {
+		const title = document.title ?? '';
+		const heading = format === 'markdown' ? `# ${title}`.trimEnd() : title;
+		return `${heading}\n\n${escapeText(document.text, SEPARATORS[format])}`;
+	});
+	return sections.join(`\n${SEPARATORS[format]}\n`) + '\n';
+}
+
+/**
+ * Guess the format of a file from its name
+ *
+ * @param {string} path - File path
+ * @returns {string} - ID of one of the FORMATS, plain text if the extension is unknown
+ */
+export function formatOf(path) {
+	const extension = path.split('.').pop().toLowerCase();
+	if (extension === 'markdown') {
+		return 'markdown';
+	}
+	return FORMATS.find(format => format.extension === extension)?.id ?? 'text';
+}
+
+/**
+ * Read notes from file contents
+ *
+ * JSON files can be a bundle or a single stored note document. Documents
+ * are migrated to the current schema, so bundles of older versions can be
+ * imported. Notes from text formats have no position and get a free one.
+ *
+ * @param {string} contents - File contents
+ * @param {string} format - ID of one of the FORMATS
+ * @returns {object[]} - Note documents, with the `id` they were exported with, if any
+ * @throws if a JSON file is not a bundle or note document, or holds an invalid note
+ */
+export function parseNotes(contents, format) {
+	if (format === 'json') {
+		const data = JSON.parse(contents);
+		let documents;
+		if (data?.type === BUNDLE_TYPE && Array.isArray(data.notes)) {
+			documents = data.notes.map(document => ({ version: data.version, ...document }));
+		} else if (data !== null && typeof data === 'object' && typeof data.text === 'string') {
+			documents = [data];
+		} else {
+			throw new Error('not a notes bundle');
+		}
+		return documents.map((document, index) => {
+			if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+				throw new Error(`note ${index + 1} is not an object`);
+			}
+			return validate(NoteStore.migrate(document), index);
+		});
+	}
+
+	const sections = [[]];
+	const lines = contents.replace(/\r\n/g, '\n').replace(/\n$/, '').split('\n');
+	for (const line of lines) {
+		if (line === SEPARATORS[format]) {
+			sections.push([]);
+		} else {
+			sections[sections.length - 1].push(line);
+		}
+	}
+	return sections
+		.filter(section => section.some(line => line.trim() !== ''))
+		.map(section => parseSection(section, format));
+}
+
+/**
+ * Check the fields of an imported note document
+ *
+ * Bundles may be edited by hand, so they are checked before notes are
+ * created from them.
+ *
+ * @param {object} document - Migrated note document
+ * @param {number} index - Position of the note in the bundle
+ * @returns {object} - The document
+ * @throws if a field has the wrong type
+ */
+function validate(document, index) {
+	const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+	const checks = {
+		text: typeof document.text === 'string',
+		title: typeof document.title === 'string',
+		color: typeof document.color === 'string',
+		type: document.type === 'text' || document.type === 'checklist',
+		items: Array.isArray(document.items),
+		x: document.x === null || isNumber(document.x),
+		y: document.y === null || isNumber(document.y),
+		width: isNumber(document.width),
+		height: isNumber(document.height),
+		fontSize: isNumber(document.fontSize),
+		reminder: document.reminder === null || Reminders.isValid(document.reminder),
+	};
+	const invalid = Object.keys(checks).filter(key => !checks[key]);
+	if (invalid.length > 0) {
+		throw new Error(`note ${index + 1} has invalid fields: ${invalid.join(', ')}`);
+	}
+	return document;
+}
+
+/**
+ * Read one note from a section of a text file
+ *
+ * The first line is the title, a heading in Markdown, followed by an
+ * empty line. Markdown sections that don't start with a heading, as in
+ * files written by hand, have no title. Sections made of task lines only
+ * become checklist notes.
+ *
+ * @param {string[]} section - Lines of the note
+ * @param {string} format - `markdown` or `text`
+ * @returns {object} - Note document without an `id`
+ */
+function parseSection(section, format) {
+	if (format === 'markdown') {
+		section = section.slice(section.findIndex(line => line.trim() !== ''));
+	}
+	let title = '';
+	let body;
+	const heading = format === 'markdown' ? section[0].match(/^#(?:\s(.*))?$/) : [null, section[0]];
+	if (heading) {
+		title = (heading[1] ?? '').trim();
+		body = section.slice(section[1] === '' ? 2 : 1).join('\n');
+	} else {
+		// Drop the empty lines around hand-written notes
+		body = section.join('\n').replace(/^(?:[ \t]*\n)+/, '').trimEnd();
+	}
+	const text = unescapeText(body, SEPARATORS[format]);
+
+	const lines = text.split('\n').filter(line => line.trim() !== '');
+	const isChecklist = lines.length > 0 && lines.every(line => /^\s*[-*+]\s+\[[ xX]\]/.test(line));
+	return NoteStore.migrate({
+		version: NoteStore.SCHEMA_VERSION,
+		text,
+		title,
+		type: isChecklist ? 'checklist' : 'text',
+		items: isChecklist ? Checklist.parseChecklist(text) : [],
+	});
+}
+
+/**
+ * Check whether an imported note is already there
+ *
+ * Notes are duplicates if they have the same type, title and text.
+ * Whitespace around titles and texts is ignored, as editors and text
+ * formats often change it.
+ *
+ * @param {object} document - Imported note document
+ * @param {object[]} existing - Documents of the current notes
+ * @returns {boolean}
+ */
+export function isDuplicate(document, existing) {
+	const title = (document.title ?? '').trim();
+	const text = document.text.trim();
+	return existing.some(other =>
+		other.type === document.type &&
+		(other.title ?? '').trim() === title &&
+		other.text.trim() === text);
+}
+
+/**
+ * Suggest a path for an export
+ *
+ * @param {string} name - File name without extension
+ * @param {string} format - ID of one of the FORMATS
+ * @returns {string} - Path in the user's documents folder
+ */
+export function suggestPath(name, format) {
+	const directory = GLib.get_user_special_dir(GLib.UserDirectory.DIRECTORY_DOCUMENTS) ??
+		GLib.get_home_dir();
+	const extension = FORMATS.find(entry => entry.id === format).extension;
+	return GLib.build_filenamev([directory, `${safeFileName(name) || 'notes'}.${extension}`]);
+}
+
+/**
+ * Turn a note title into a file name
+ *
+ * @param {string} name - Title or beginning of the text
+ * @returns {string} - Name usable on all file systems, without extension, may be empty
+ */
+export function safeFileName(name) {
+	return name.replace(/[\\/:*?"<>|\n]+/g, ' ').replace(/^[.\s]+/, '').trim().slice(0, 60).trim();
+}
+
+/**
+ * Check whether a file is already there
+ *
+ * @param {string} path - File path, `~` stands for the home folder
+ * @returns {boolean}
+ */
+export function fileExists(path) {
+	return GLib.file_test(expandPath(path), GLib.FileTest.EXISTS);
+}
+
+/**
+ * Write an export to a file
+ *
+ * @param {string} path - File path, `~` stands for the home folder
+ * @param {string} contents - File contents
+ * @returns {string} - The absolute path written
+ * @throws if the file can't be written
+ */
+export function writeFile(path, contents) {
+	const absolute = expandPath(path);
+	const parent = GLib.path_get_dirname(absolute);
+	GLib.mkdir_with_parents(parent, 0o755);
+	GLib.file_set_contents_full(absolute, contents, GLib.FileSetContentsFlags.CONSISTENT, 0o644);
+	return absolute;
+}
+
+/**
+ * Read a file to import
+ *
+ * @param {string} path - File path, `~` stands for the home folder
+ * @returns {string} - File contents
+ * @throws if the file can't be read
+ */
+export function readFile(path) {
+	const [, contents] = GLib.file_get_contents(expandPath(path));
+	return new TextDecoder().decode(contents);
+}
+
+/**
+ * Expand a leading `~` to the home folder
+ *
+ * @param {string} path - File path
+ * @returns {string} - Path without `~`
+ */
+function expandPath(path) {
+	path = path.trim();
+	return path.startsWith('~') ? GLib.get_home_dir() + path.slice(1) : path;
+}
@@ -13,51 +13,69 @@
 
 // Import GNOME libraries
 import St from 'gi://St';
-import * as Shell from 'gi://Shell';
+import Clutter from 'gi://Clutter';
+import Shell from 'gi://Shell';
 import GLib from 'gi://GLib';
-import * as Gio from 'gi://Gio';
-import * as Meta from 'gi://Meta';
+import Gio from 'gi://Gio';
+import Meta from 'gi://Meta';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
+import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
+import { Extension } from 'resource:///org/gnome/shell/extensions/extension.js';
 
 // Import our own modules
 import * as NoteBox from './noteBox.js';
+import * as NoteStore from './noteStore.js';
+import * as SaveQueue from './saveQueue.js';
+import * as History from './history.js';
+import * as Menus from './menus.js';
+import Dialog from './dialog.js';
+import * as Notifications from './notifications.js';
+import * as Search from './search.js';
+import * as Reminders from './reminders.js';
+import * as Monitors from './monitors.js';
+import * as Snapping from './snapping.js';
+import * as Arrange from './arrange.js';
+import * as Exporter from './exporter.js';
+import * as Sync from './sync.js';
+import * as DBus from './dbus.js';
 
-// Path to store notes data
-const PATH = GLib.build_filenamev([GLib.get_user_data_dir(), 'notes_data']);
+// Settings that change the look of every open note
+const STYLE_KEYS = ['font-family', 'opacity', 'hover-opacity'];
+
+// Settings keys of the global shortcuts and the methods they call
+const KEYBINDINGS = {
+    'shortcut-toggle-notes': '_onButtonPressed',
+    'shortcut-new-note': '_createNoteAtPointer',
+    'shortcut-focus-recent': '_focusRecentNote',
+    'shortcut-search': '_openSearch',
+};
+
+/**
+ * Expand a leading `~` of a path from the settings
+ * 
+ * @param {string} path - Path from the settings
+ * @returns {string} - The path without `~`, empty if the setting is empty
+ */
+function expandHome(path) {
+    path = path.trim();
+    return path.startsWith('~') ? GLib.get_home_dir() + path.slice(1) : path;
+}
 
 /**
  * Main extension class
  * 
  * Handles extension lifecycle (enable/disable)
  */
-export default class NotesExtension {
-    /**
-     * Create the notes data directory if it doesn't exist
-     * 
-     * @private
-     */
-    _createDirectory() {
-        try {
-            // Ensure the directory exists with proper permissions
-            if (!GLib.file_test(PATH, GLib.FileTest.EXISTS)) {
-                GLib.mkdir_with_parents(PATH, 0o755);
-            } else if (!GLib.file_test(PATH, GLib.FileTest.IS_DIR)) {
-                log('Notes Extension: Path exists but is not a directory: ' + PATH);
-            }
-        } catch (e) {
-            log('Notes Extension: Error creating directory: ' + e);
-        }
-    }
-
+export default class NotesExtension extends Extension {
     /**
      * Enable the extension
      * 
      * Called when the extension is enabled by the user or at startup.
      */
     enable() {
-        this._createDirectory();
-        this._notesManager = new NotesManager(this);
+        this._settings = this.getSettings();
+        this._notesManager = new NotesManager(this, this._settings);
     }
 
     /**
@@ -68,6 +86,7 @@ export default class NotesExtension {
     disable() {
         this._notesManager.destroy();
         this._notesManager = null;
+        this._settings = null;
     }
 }
 
@@ -82,40 +101,503 @@ class NotesManager {
      * Initialize the NotesManager
      * 
      * @param {NotesExtension} extension - Extension object
+     * @param {Gio.Settings} settings - Settings of the extension
      */
-    constructor(extension) {
+    constructor(extension, settings) {
         this._extension = extension;
+        this.settings = settings;
         this._allNotes = [];
         this._notesAreVisible = false;
         this._notesLoaded = false;
-        this._layerId = 'on-background';
+        this._arrangeUndo = null;
+
+        this._openStore();
+
+        // Notes follow changes of the monitors and work areas, and return
+        // to their monitor when it is connected again
+        this.monitors = new Monitors.MonitorTracker(this._onLayoutChanged.bind(this));
+        this._workareasChangedId = global.display.connect('workareas-changed',
+            this._onLayoutChanged.bind(this));
+        this.snapGuides = new Snapping.SnapGuides();
         
         // Initialize UI components
         this._initButton();
         
-        // Automatically load and show notes when extension is enabled
+        // Load notes and show them if the user wants them at startup
         this._loadAllNotes();
-        this._showNotes();
-        log('Notes Extension: Automatically showing notes on startup');
+        if (this.settings.get_boolean('show-at-startup')) {
+            this._showNotes();
+            log('Notes Extension: Automatically showing notes on startup');
+        } else {
+            this._onlyHideNotes();
+        }
+
+        this._settingsChangedId = this.settings.connect('changed', this._onSettingsChanged.bind(this));
+        this._addKeybindings();
+
+        // Notes can belong to a single workspace
+        const workspaceManager = global.workspace_manager;
+        this._workspaceSignalIds = [
+            workspaceManager.connect('workspace-switched', this._updateNoteVisibility.bind(this)),
+            workspaceManager.connect('workspace-added', this._onWorkspacesChanged.bind(this)),
+            workspaceManager.connect('workspace-removed', this._onWorkspacesChanged.bind(this)),
+        ];
+
+        // Fire reminders, including the ones that came due while the shell was not running
+        this.reminders = new Reminders.ReminderScheduler(() => this._allNotes,
+            this._onReminderDue.bind(this));
+        this.reminders.update();
+
+        // Mirror the notes to the sync folder, if one is set
+        this.sync = null;
+        this._startSync();
+
+        // Purge old notes from the trash now and then
+        this._emptyOldTrash();
+        this._trashTimeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_LOW, 60 * 60, () => {
+            this._emptyOldTrash();
+            return GLib.SOURCE_CONTINUE;
+        });
+
+        // Let scripts manage the notes
+        this.dbus = new DBus.NotesDBus(this);
+    }
+
+    /**
+     * Open the note store in the configured storage directory
+     * 
+     * Converts notes saved in the old layout and creates the
+     * save queue and history that write to this store.
+     */
+    _openStore() {
+        const directory = expandHome(this.settings.get_string('storage-directory')) || NoteStore.DEFAULT_PATH;
+
+        this.store = new NoteStore.NoteStore(directory, {
+            onRecovery: message => Main.notify('Notes', message),
+        });
+        this.store.ensureDirectory();
+        this.store.importLegacy();
+        this.store.watch(this._onStoreChanged.bind(this));
+        this.history = new History.NoteHistory(this.store);
+        this.saveQueue = new SaveQueue.SaveQueue(this.store, {
+            history: this.history,
+            onSaved: document => {
+                this.sync?.noteSaved(document);
+                this.dbus?.noteChanged(document.id);
+            },
+        });
+    }
+
+    /**
+     * Start syncing with the configured sync folder
+     * 
+     * A sync that is running is stopped first. Nothing is synced
+     * if no sync folder is set.
+     */
+    _startSync() {
+        this._stopSync();
+        const directory = expandHome(this.settings.get_string('sync-directory'));
+        if (directory === '') {
+            return;
+        }
+
+        this.sync = new Sync.FolderSync(directory, GLib.build_filenamev([this.store.directory, 'sync']), {
+            getNotes: () => this._allNotes,
+            onCreated: document => this._createNoteFromDocument(document),
+            onChanged: (note, document) => {
+                note.applyDocument(document);
+                note.onlySave();
+            },
+            onDeleted: note => this.deleteNote(note),
+            onConflict: copy => Main.notify('Notes',
+                `A note was changed here and in the sync folder. Both versions were kept: "${copy.getLabel()}"`),
+        });
+        this.sync.start();
+    }
+
+    /**
+     * Stop syncing with the sync folder
+     */
+    _stopSync() {
+        if (this.sync) {
+            this.sync.destroy();
+            this.sync = null;
+        }
+    }
+
+    /**
+     * Register the global shortcuts
+     * 
+     * The key combinations are read from the settings, so changing
+     * them in the settings takes effect right away.
+     */
+    _addKeybindings() {
+        for (const [name, method] of Object.entries(KEYBINDINGS)) {
+            Main.wm.addKeybinding(name, this.settings,
+                Meta.KeyBindingFlags.IGNORE_AUTOREPEAT,
+                Shell.ActionMode.NORMAL | Shell.ActionMode.OVERVIEW,
+                () => this[method]());
+        }
+    }
+
+    /**
+     * Remove the global shortcuts
+     */
+    _removeKeybindings() {
+        for (const name of Object.keys(KEYBINDINGS)) {
+            Main.wm.removeKeybinding(name);
+        }
+    }
+
+    /**
+     * Handle a changed setting
+     * 
+     * @param {Gio.Settings} settings - Settings of the extension
+     * @param {string} key - Changed key
+     */
+    _onSettingsChanged(settings, key) {
+        if (STYLE_KEYS.includes(key)) {
+            this._allNotes.forEach(note => note.applySettings());
+        } else if (key === 'storage-directory') {
+            this._reloadFromStorage();
+        } else if (key === 'trash-max-age') {
+            this._emptyOldTrash();
+        } else if (key === 'sync-directory') {
+            this._startSync();
+        }
+    }
+
+    /**
+     * Save all notes and load the notes of the new storage directory
+     */
+    _reloadFromStorage() {
+        this._stopSync();
+        this.store.unwatch();
+        this._allNotes.forEach(note => note.onlySave());
+        // Write everything to the old directory and stop the old queue and
+        // history, so none of their timers or writes outlive the switch
+        this.saveQueue.flush();
+        this.saveQueue.destroy();
+        this.history.destroy();
+        this._allNotes.forEach(note => note.destroy());
+        this._allNotes = [];
+
+        this._openStore();
+        this._loadAllNotes();
+        if (this._notesAreVisible) {
+            this._showNotes();
+        } else {
+            this._onlyHideNotes();
+        }
+        this.reminders.update();
+        this._startSync();
+    }
+
+    /**
+     * Take over a change another program made in the storage directory
+     * 
+     * New files create notes, deleted files remove their notes and changed
+     * files refresh their notes. If a note has changes that are not saved
+     * yet, the user chooses which version to keep.
+     * 
+     * @param {string} id - Note ID
+     * @param {object|null} document - New document of the note, null if it was deleted
+     */
+    _onStoreChanged(id, document) {
+        const note = this._allNotes.find(candidate => candidate.id === id);
+        if (!note) {
+            if (document) {
+                const created = this.createNote(null, null, id);
+                if (!this._notesAreVisible || !created.isOnActiveWorkspace()) {
+                    created.onlyHide();
+                }
+                this.sync?.schedule();
+                this.dbus?.noteCreated(id);
+            }
+            return;
+        }
+
+        const takeChange = () => {
+            if (!this._allNotes.includes(note)) {
+                return;
+            }
+            if (document) {
+                // Read the file again, it may have been saved while the user decided
+                const current = this.store.read(id);
+                if (!current) {
+                    return;
+                }
+                note.applyDocument(current);
+                // The document is on disk already, so no save reports the change
+                this.saveQueue.cancel(id);
+                this.reminders.update();
+                this.sync?.schedule();
+                this.dbus?.noteChanged(id);
+            } else {
+                this.deleteNote(note);
+            }
+        };
+        if (!this.saveQueue.isPending(id)) {
+            takeChange();
+            return;
+        }
+
+        // Hold back the local changes until the user decides
+        this.saveQueue.cancel(id);
+        const keepLocal = () => {
+            if (this._allNotes.includes(note)) {
+                note.onlySave();
+            }
+        };
+        const label = note.getLabel() || "Empty note";
+        if (document) {
+            Dialog.showChoice("Note changed on disk",
+                `"${label}" was changed by another program, but it also has unsaved changes here.`, [
+                    { label: "Load from disk", callback: takeChange },
+                    { label: "Keep mine", callback: keepLocal },
+                ]);
+        } else {
+            Dialog.showChoice("Note deleted on disk",
+                `"${label}" was deleted by another program, but it has unsaved changes here. ` +
+                "Deleted notes are moved to the trash.", [
+                    { label: "Delete", callback: takeChange },
+                    { label: "Keep note", callback: keepLocal },
+                ]);
+        }
+    }
+
+    /**
+     * Place all notes again after the monitors or work areas changed
+     * 
+     * Notes keep their saved positions and are scaled to the new
+     * geometry, so they return to their exact places when the
+     * original geometry comes back.
+     */
+    _onLayoutChanged() {
+        this._allNotes.forEach(note => note.reposition());
+    }
+
+    /**
+     * Keep the workspaces of notes after workspaces were added or removed
+     */
+    _onWorkspacesChanged() {
+        this._allNotes.forEach(note => note.syncWorkspace());
+        this._updateNoteVisibility();
+    }
+
+    /**
+     * Show the notes of the active workspace and hide the others
+     */
+    _updateNoteVisibility() {
+        if (!this._notesAreVisible) {
+            return;
+        }
+        this._allNotes.forEach(note => {
+            if (note.isOnActiveWorkspace()) {
+                note.show();
+            } else {
+                note.onlyHide();
+            }
+        });
     }
 
     /**
      * Initialize the panel button with icon
      * 
-     * Creates a button in the top panel with a document icon
-     * that toggles the visibility of notes when clicked.
+     * Creates a button in the top panel with a document icon.
+     * Clicking it opens the notes menu; a middle-click toggles the
+     * visibility of notes, as does a primary click if the
+     * `panel-click-toggles` setting is on.
      */
     _initButton() {
-        this.panel_button = new PanelMenu.Button(0.0, "Show notes");
+        this.panel_button = new PanelMenu.Button(0.0, "Notes");
         const icon = new St.Icon({
             style_class: 'system-status-icon',
             icon_name: 'document-edit-symbolic'
         });
         this.panel_button.add_child(icon);
-        this.panel_button.connect('button-press-event', this._onButtonPressed.bind(this));
+        this.panel_button.connect('event', this._onButtonEvent.bind(this));
+        this._buildMenu(this.panel_button.menu);
         Main.panel.addToStatusArea('NotesButton', this.panel_button);
     }
 
+    /**
+     * Build the panel menu
+     * 
+     * @param {PopupMenu.PopupMenu} menu - Menu of the panel button
+     */
+    _buildMenu(menu) {
+        // Visibility switch and new note
+        this._visibilityItem = new PopupMenu.PopupSwitchMenuItem("Show notes", this._notesAreVisible);
+        this._visibilityItem.connect('toggled', (item, state) => this.setNotesVisible(state));
+        menu.addMenuItem(this._visibilityItem);
+
+        const newItem = new PopupMenu.PopupImageMenuItem("New note", 'list-add-symbolic');
+        newItem.connect('activate', () => {
+            this.setNotesVisible(true);
+            this.createNote().focus();
+        });
+        menu.addMenuItem(newItem);
+
+        const searchItem = new PopupMenu.PopupImageMenuItem("Search notes…", 'edit-find-symbolic');
+        searchItem.connect('activate', () => this._openSearch());
+        menu.addMenuItem(searchItem);
+
+        // Arrange layouts and their undo
+        const arrangeItem = new PopupMenu.PopupSubMenuMenuItem("Arrange notes", true);
+        arrangeItem.icon.icon_name = 'view-grid-symbolic';
+        for (const layout of Arrange.LAYOUTS) {
+            const item = new PopupMenu.PopupMenuItem(layout.label);
+            item.connect('activate', () => this._arrangeNotes(layout.id));
+            arrangeItem.menu.addMenuItem(item);
+        }
+        arrangeItem.menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        this._undoArrangeItem = new PopupMenu.PopupMenuItem("Undo arrange");
+        this._undoArrangeItem.connect('activate', () => this._undoArrange());
+        arrangeItem.menu.addMenuItem(this._undoArrangeItem);
+        menu.addMenuItem(arrangeItem);
+
+        // Export and import of all notes
+        const exportItem = new PopupMenu.PopupSubMenuMenuItem("Export all notes", true);
+        exportItem.icon.icon_name = 'document-save-as-symbolic';
+        for (const format of Exporter.FORMATS) {
+            const item = new PopupMenu.PopupMenuItem(`${format.label}…`);
+            item.connect('activate', () => this.exportNotes(this._allNotes, format.id));
+            exportItem.menu.addMenuItem(item);
+        }
+        menu.addMenuItem(exportItem);
+
+        const importItem = new PopupMenu.PopupImageMenuItem("Import notes…", 'document-open-symbolic');
+        importItem.connect('activate', () => this._importNotes());
+        menu.addMenuItem(importItem);
+
+        // Scrollable list of notes
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        // The section is added to the menu first, so its items close the
+        // menu and take part in keyboard navigation, then moved into the
+        // scroll view
+        this._notesSection = new PopupMenu.PopupMenuSection();
+        menu.addMenuItem(this._notesSection);
+        const notesScrollView = new St.ScrollView({
+            style_class: 'notes-panel-list',
+            overlay_scrollbars: true,
+        });
+        menu.box.replace_child(this._notesSection.actor, notesScrollView);
+        notesScrollView.add_child(this._notesSection.actor);
+
+        // Trash and settings
+        menu.addMenuItem(new PopupMenu.PopupSeparatorMenuItem());
+        this._trashItem = new PopupMenu.PopupSubMenuMenuItem("Trash", true);
+        this._trashItem.icon.icon_name = 'user-trash-symbolic';
+        menu.addMenuItem(this._trashItem);
+
+        const settingsItem = new PopupMenu.PopupImageMenuItem("Settings", 'preferences-system-symbolic');
+        settingsItem.connect('activate', () => this._extension.openPreferences());
+        menu.addMenuItem(settingsItem);
+
+        // Refresh the lists each time the menu opens
+        menu.connect('open-state-changed', (openedMenu, isOpen) => {
+            if (isOpen) {
+                this._visibilityItem.setToggleState(this._notesAreVisible);
+                this._undoArrangeItem.setSensitive(this._arrangeUndo !== null);
+                this._refreshNotesSection();
+                this._refreshTrashSection();
+            }
+        });
+    }
+
+    /**
+     * Handle events on the panel button
+     * 
+     * Quick toggle clicks are handled here; other events reach the
+     * button's own handler, which opens the menu.
+     * 
+     * @param {Clutter.Actor} actor - The panel button
+     * @param {Clutter.Event} event - The event
+     * @returns {boolean} - Whether the event was handled
+     */
+    _onButtonEvent(actor, event) {
+        if (event.type() !== Clutter.EventType.BUTTON_PRESS) {
+            return Clutter.EVENT_PROPAGATE;
+        }
+
+        const button = event.get_button();
+        if (button === Clutter.BUTTON_MIDDLE ||
+            (button === Clutter.BUTTON_PRIMARY && this.settings.get_boolean('panel-click-toggles'))) {
+            this._onButtonPressed();
+            return Clutter.EVENT_STOP;
+        }
+        return Clutter.EVENT_PROPAGATE;
+    }
+
+    /**
+     * Rebuild the list of notes in the panel menu
+     * 
+     * Each entry shows the color and the beginning of the text of a note.
+     * Clicking an entry raises and focuses the note.
+     */
+    _refreshNotesSection() {
+        this._notesSection.removeAll();
+
+        if (this._allNotes.length === 0) {
+            const emptyItem = new PopupMenu.PopupMenuItem("No notes", { reactive: false });
+            this._notesSection.addMenuItem(emptyItem);
+            return;
+        }
+
+        for (const note of this._allNotes) {
+            const item = new Menus.NoteMenuItem(note);
+            item.connect('activate', () => this.raiseNote(note));
+            this._notesSection.addMenuItem(item);
+        }
+    }
+
+    /**
+     * Rebuild the trash submenu of the panel menu
+     * 
+     * Lists the deleted notes with buttons to restore or purge them.
+     */
+    _refreshTrashSection() {
+        const trashMenu = this._trashItem.menu;
+        trashMenu.removeAll();
+
+        const trashed = this.store.listTrash();
+        this._trashItem.label.text = trashed.length > 0 ? `Trash (${trashed.length})` : "Trash";
+
+        if (trashed.length === 0) {
+            trashMenu.addMenuItem(new PopupMenu.PopupMenuItem("Trash is empty", { reactive: false }));
+            return;
+        }
+
+        for (const document of trashed) {
+            trashMenu.addMenuItem(new Menus.TrashMenuItem(document,
+                () => this.restoreNote(document.id),
+                () => {
+                    this.store.purge(document.id);
+                    this._refreshTrashSection();
+                }));
+        }
+
+        const emptyItem = new PopupMenu.PopupMenuItem("Empty trash");
+        emptyItem.connect('activate', () => {
+            Dialog.showConfirm("Empty trash", "Delete all notes in the trash for good?", () => {
+                this.store.listTrash().forEach(document => this.store.purge(document.id));
+                this._refreshTrashSection();
+            });
+        });
+        trashMenu.addMenuItem(emptyItem);
+    }
+
+    /**
+     * Purge notes that have been in the trash for too long
+     */
+    _emptyOldTrash() {
+        const purged = this.store.emptyTrash(this.settings.get_int('trash-max-age'));
+        if (purged > 0) {
+            log(`Notes Extension: Purged ${purged} old notes from the trash`);
+        }
+    }
+
     /**
      * Load all saved notes from storage
      * 
@@ -123,25 +605,15 @@ class NotesManager {
      * Creates a default note if no notes are found.
      */
     _loadAllNotes() {
-        let i = 0;
-        let notesFound = false;
-        
-        // Try to load existing notes
-        while (true) {
-            const stateFile = GLib.build_filenamev([PATH, `${i}_state`]);
-            if (GLib.file_test(stateFile, GLib.FileTest.EXISTS)) {
-                this.createNote('', 16);
-                notesFound = true;
-            } else {
-                break;
-            }
-            i++;
-        }
+        // Notes that can't be read even from their backup are skipped,
+        // so an empty note never overwrites them
+        const noteIds = this.store.listIds().filter(id => this.store.load(id) !== null);
+        noteIds.forEach(id => this.createNote(null, null, id));
         
         // If no notes were found, create a default note
-        if (!notesFound) {
+        if (noteIds.length === 0) {
             log('Notes Extension: No existing notes found, creating a default note');
-            this.createNote('', 16);
+            this.createNote();
         }
         
         this._notesLoaded = true;
@@ -150,61 +622,467 @@ class NotesManager {
     /**
      * Create a new note with specified color and font size
      * 
-     * @param {string} colorString - Color string for the note (RGB format)
-     * @param {number} fontSize - Font size for the note
+     * @param {string} [colorString] - Color string for the note (RGB format), or the default color
+     * @param {number} [fontSize] - Font size for the note, or the default size
+     * @param {string} [id] - ID of a stored note, or nothing for a new note
      * @returns {NoteBox.NoteBox} - The created note object
      */
-    createNote(colorString, fontSize) {
-        const nextId = this._allNotes.length;
+    createNote(colorString = null, fontSize = null, id = null) {
+        const noteId = id || GLib.uuid_string_random();
         try {
-            const note = new NoteBox.NoteBox(nextId, colorString, fontSize, this._extension, this);
+            const note = new NoteBox.NoteBox(noteId, colorString, fontSize, this._extension, this);
             this._allNotes.push(note);
+            this.reminders?.update();
+            // Stored notes that are loaded again are no news to scripts;
+            // the callers that bring in new stored notes report them
+            if (!id) {
+                this.dbus?.noteCreated(noteId);
+            }
             return note;
         } catch (e) {
             Main.notify("Notes extension error: failed to load a note");
-            log(`Failed to create note n°${nextId}: ${e}`);
+            log(`Failed to create note ${noteId}: ${e}`);
             throw e;
         }
     }
 
     /**
-     * Handle post-deletion cleanup and renumbering
+     * Handle post-deletion cleanup
      * 
-     * After a note is deleted, this method handles renumbering the remaining notes
-     * and cleaning up the files for the deleted note.
+     * Forgets the deleted note and moves it to the trash. A notification
+     * offers to undo the deletion. Note IDs are permanent, so no other
+     * note is renamed.
      * 
-     * @param {number} deletedNoteId - ID of the deleted note
+     * @param {string} deletedNoteId - ID of the deleted note
      */
     postDelete(deletedNoteId) {
-        // Log for debugging
-        log(`Notes Extension: Deleting note with ID ${deletedNoteId}, total notes: ${this._allNotes.length}`);
-        
-        // Always delete the files for the deleted note ID
-        this._deleteNoteFiles(deletedNoteId);
-        
-        // If this was the last note in the array, we're done
-        if (deletedNoteId >= this._allNotes.length) {
+        log(`Notes Extension: Deleting note with ID ${deletedNoteId}`);
+
+        const note = this._allNotes.find(candidate => candidate.id === deletedNoteId);
+        if (!note) {
             return;
         }
-        
-        // Get the last note
-        const lastNote = this._allNotes.pop();
-        const lastNoteId = this._allNotes.length;
-        
-        // If the deleted note wasn't the last one, move the last note to the deleted position
-        if (deletedNoteId < this._allNotes.length) {
-            // Update the ID of the moved note
-            lastNote.id = deletedNoteId;
-            this._allNotes[deletedNoteId] = lastNote;
-            
-            // Save the note with its new ID
-            this._allNotes[deletedNoteId].onlySave();
-            
-            log(`Notes Extension: Moved note from position ${lastNoteId} to ${deletedNoteId}`);
-            
-            // Delete the files for the old position
-            this._deleteNoteFiles(lastNoteId);
+        const document = this._moveToTrash(note);
+        if (!document) {
+            return;
         }
+
+        Notifications.notify("Note deleted", NoteStore.describe(document) || "Empty note", [{
+            label: "Undo",
+            callback: () => this.restoreNote(deletedNoteId),
+        }], { transient: true });
+    }
+
+    /**
+     * Forget a note and move its document to the trash
+     * 
+     * The note's actor is left to the caller.
+     * 
+     * @param {NoteBox.NoteBox} note - Note to trash
+     * @returns {object|null} - The trashed document, or null if it was kept on disk
+     *   or the note isn't one of the notes any more
+     */
+    _moveToTrash(note) {
+        // A note deleted twice, or from before a reload, is gone already
+        const index = this._allNotes.indexOf(note);
+        if (index === -1) {
+            return null;
+        }
+        this._allNotes.splice(index, 1);
+        this.saveQueue.cancel(note.id);
+        this.history.forget(note.id);
+        const document = note.serialize();
+        if (!this.store.trash(document)) {
+            // Keep the note on disk rather than losing it
+            this.store.save(document);
+            return null;
+        }
+        this.sync?.schedule();
+        this.dbus?.noteDeleted(note.id);
+        return document;
+    }
+
+    /**
+     * Delete a note without asking, it is moved to the trash
+     * 
+     * @param {NoteBox.NoteBox} note - Note to delete
+     */
+    deleteNote(note) {
+        this._moveToTrash(note);
+        note.destroy();
+    }
+
+    /**
+     * Get all notes
+     * 
+     * @returns {NoteBox.NoteBox[]}
+     */
+    getNotes() {
+        return [...this._allNotes];
+    }
+
+    /**
+     * Find a note by its ID
+     * 
+     * @param {string} id - Note ID
+     * @returns {NoteBox.NoteBox|null}
+     */
+    findNote(id) {
+        return this._allNotes.find(note => note.id === id) ?? null;
+    }
+
+    /**
+     * Create a note with a text, as scripts do
+     * 
+     * The note is shown only if the notes are visible.
+     * 
+     * @param {string} text - Text of the note
+     * @param {string|null} colorString - Color as "r,g,b", or null for the default color
+     * @param {number} x - Stage X coordinate, negative for a free place
+     * @param {number} y - Stage Y coordinate, negative for a free place
+     * @returns {NoteBox.NoteBox} - The new note
+     */
+    createNoteWithText(text, colorString, x, y) {
+        const note = this.createNote(colorString);
+        note.setText(text);
+        if (x >= 0 && y >= 0) {
+            note.placeAt(x, y);
+        }
+        note.onlySave();
+        if (!this._notesAreVisible || !note.isOnActiveWorkspace()) {
+            note.onlyHide();
+        }
+        return note;
+    }
+
+    /**
+     * Check whether an ID is used by no note, not even in the trash
+     * 
+     * @param {string} id - Note ID
+     * @returns {boolean}
+     */
+    _isIdFree(id) {
+        return !this.store.listIds().includes(id) &&
+            !this.store.listTrash().some(document => document.id === id);
+    }
+
+    /**
+     * Create a note from a document that isn't stored yet
+     * 
+     * The note keeps the ID of the document if the ID is free.
+     * 
+     * @param {object} document - Note document
+     * @returns {NoteBox.NoteBox} - The new note
+     */
+    _createNoteFromDocument(document) {
+        const id = document.id && this._isIdFree(document.id) ? document.id : GLib.uuid_string_random();
+
+        // The note reads its document from the store
+        this.store.save({ ...document, id });
+        const note = this.createNote(null, null, id);
+        if (!this._notesAreVisible || !note.isOnActiveWorkspace()) {
+            note.onlyHide();
+        }
+        this.dbus?.noteCreated(id);
+        return note;
+    }
+
+    /**
+     * Export notes to a file chosen by the user
+     * 
+     * @param {NoteBox.NoteBox[]} notes - Notes to export
+     * @param {string} format - ID of one of the Exporter.FORMATS
+     */
+    exportNotes(notes, format) {
+        const name = notes.length === 1 ? notes[0].getLabel() || "note" : "notes";
+        const documents = notes.map(note => note.serialize());
+        const write = path => {
+            let written;
+            try {
+                written = Exporter.writeFile(path, Exporter.exportNotes(documents, format));
+            } catch (e) {
+                log(`Notes Extension: Error exporting notes: ${e}`);
+                Dialog.showError(`The notes could not be saved to ${path}.`);
+                return;
+            }
+            Notifications.notify("Notes exported", written, [{
+                label: "Open folder",
+                callback: () => Gio.AppInfo.launch_default_for_uri(
+                    GLib.filename_to_uri(GLib.path_get_dirname(written), null), null),
+            }], { transient: true });
+        };
+        Dialog.showPrompt("Export notes", "Save the notes to this file:",
+            Exporter.suggestPath(name, format), path => {
+                if (Exporter.fileExists(path)) {
+                    Dialog.showConfirm("Replace file?",
+                        `${path} already exists. Replace it with the exported notes?`, () => write(path));
+                } else {
+                    write(path);
+                }
+            });
+    }
+
+    /**
+     * Import notes from a file chosen by the user
+     * 
+     * The format is taken from the file extension. The user chooses to
+     * merge the notes with the current ones or to replace them.
+     */
+    _importNotes() {
+        Dialog.showPrompt("Import notes", "Import notes from this file (.json, .md or .txt):",
+            Exporter.suggestPath("notes", 'json'), path => {
+                let documents;
+                try {
+                    documents = Exporter.parseNotes(Exporter.readFile(path), Exporter.formatOf(path));
+                } catch (e) {
+                    log(`Notes Extension: Error importing notes: ${e}`);
+                    Dialog.showError(`No notes could be read from ${path}.`);
+                    return;
+                }
+                if (documents.length === 0) {
+                    Dialog.showError(`There are no notes in ${path}.`);
+                    return;
+                }
+                if (this._allNotes.length === 0) {
+                    this._addImportedNotes(documents, false);
+                    return;
+                }
+                Dialog.showChoice("Import notes",
+                    `Found ${documents.length} notes. Add them to your notes, or replace your notes with them? ` +
+                    "Replaced notes are moved to the trash.", [
+                        { label: "Replace", callback: () => this._addImportedNotes(documents, true) },
+                        { label: "Merge", callback: () => this._addImportedNotes(documents, false) },
+                    ]);
+            });
+    }
+
+    /**
+     * Create notes from imported documents
+     * 
+     * Notes that are already there are skipped. Imported notes keep their
+     * IDs unless the IDs are taken.
+     * 
+     * @param {object[]} documents - Imported note documents
+     * @param {boolean} replace - Move the current notes to the trash first
+     */
+    _addImportedNotes(documents, replace) {
+        if (replace) {
+            [...this._allNotes].forEach(note => this.deleteNote(note));
+        }
+
+        const existing = this._allNotes.map(note => note.serialize());
+        let skipped = 0;
+        for (const document of documents) {
+            if (Exporter.isDuplicate(document, existing)) {
+                skipped++;
+                continue;
+            }
+            existing.push(document);
+            this._createNoteFromDocument(document);
+        }
+
+        const imported = documents.length - skipped;
+        Notifications.notify("Notes imported", skipped > 0
+            ? `Imported ${imported} notes, skipped ${skipped} duplicates.`
+            : `Imported ${imported} notes.`, [], { transient: true });
+    }
+
+    /**
+     * Restore a note from the trash
+     * 
+     * @param {string} id - ID of the trashed note
+     * @returns {NoteBox.NoteBox|null} - The restored note, or null on error
+     */
+    restoreNote(id) {
+        if (this._allNotes.some(note => note.id === id) || !this.store.restore(id)) {
+            return null;
+        }
+        const note = this.createNote(null, null, id);
+        if (!this._notesAreVisible || !note.isOnActiveWorkspace()) {
+            note.onlyHide();
+        }
+        this.sync?.schedule();
+        this.dbus?.noteCreated(id);
+        return note;
+    }
+
+    /**
+     * Show a due reminder and bring its note to the front
+     * 
+     * @param {NoteBox.NoteBox} note - Note of the reminder
+     */
+    _onReminderDue(note) {
+        const body = note.getLabel(80) || "Empty note";
+        // The reminder already moved on to its next time when it fired
+        const remaining = note.reminder;
+        Notifications.notify("Reminder", body, [{
+            label: "Snooze",
+            callback: () => {
+                if (this._allNotes.includes(note)) {
+                    note.setReminder(Reminders.snooze(note.reminder, Date.now()));
+                }
+            },
+        }, {
+            label: "Done",
+            // Removes repeating reminders too; a reminder set by the user
+            // in the meantime is kept
+            callback: () => {
+                if (this._allNotes.includes(note) && remaining && note.reminder === remaining) {
+                    note.setReminder(null);
+                }
+            },
+        }], { critical: true });
+        this.raiseNote(note);
+    }
+
+    /**
+     * Remember the note the user worked with last
+     * 
+     * @param {NoteBox.NoteBox} note - Note that got the focus
+     */
+    noteFocused(note) {
+        this._recentNote = note;
+    }
+
+    /**
+     * Show the notes if they are hidden
+     */
+    _ensureNotesVisible() {
+        this.setNotesVisible(true);
+    }
+
+    /**
+     * Raise and focus a note, showing the notes if needed
+     * 
+     * Switches to the workspace of the note if it isn't on the active one.
+     * 
+     * @param {NoteBox.NoteBox} note - Note to raise
+     */
+    raiseNote(note) {
+        this._ensureNotesVisible();
+        note.activateWorkspace();
+        this._updateNoteVisibility();
+        note.focus();
+    }
+
+    /**
+     * Create a new note under the mouse pointer and focus it
+     */
+    _createNoteAtPointer() {
+        this._ensureNotesVisible();
+        const [x, y] = global.get_pointer();
+        const note = this.createNote();
+        note.placeAt(x, y);
+        note.focus();
+    }
+
+    /**
+     * Raise and focus the note the user worked with last
+     */
+    _focusRecentNote() {
+        if (!this._allNotes.includes(this._recentNote)) {
+            this._recentNote = this._allNotes[this._allNotes.length - 1];
+        }
+        if (this._recentNote) {
+            this.raiseNote(this._recentNote);
+        }
+    }
+
+    /**
+     * Open the note search
+     * 
+     * Selecting a result raises the note and highlights the match.
+     */
+    _openSearch() {
+        const dialog = new Search.SearchDialog(() => this._allNotes, (note, match) => {
+            if (!this._allNotes.includes(note)) {
+                return;
+            }
+            this.raiseNote(note);
+            if (match) {
+                note.highlightMatch(match.start, match.end);
+            }
+        });
+        dialog.open();
+    }
+
+    /**
+     * Arrange the notes of the active workspace
+     * 
+     * Each note stays on its monitor and is placed inside the work area.
+     * The previous placement is kept for one undo.
+     * 
+     * @param {string} layout - ID of one of the layouts in `Arrange.LAYOUTS`
+     */
+    _arrangeNotes(layout) {
+        this._ensureNotesVisible();
+        const notes = this._allNotes.filter(note => note.isOnActiveWorkspace());
+        if (notes.length === 0) {
+            return;
+        }
+        this._arrangeUndo = notes.map(note => ({ note, placement: note.getPlacement() }));
+
+        const notesByMonitor = new Map();
+        for (const note of notes) {
+            const index = note.getMonitorIndex();
+            if (!notesByMonitor.has(index)) {
+                notesByMonitor.set(index, []);
+            }
+            notesByMonitor.get(index).push(note);
+        }
+
+        for (const [index, monitorNotes] of notesByMonitor) {
+            const workArea = Main.layoutManager.getWorkAreaForMonitor(index);
+            const sizes = monitorNotes.map(note => ({ width: note.width, height: note.height }));
+            const positions = Arrange.computeLayout(layout, sizes, workArea);
+            monitorNotes.forEach((note, i) => {
+                note.arrangeTo(index, workArea.x + positions[i].x, workArea.y + positions[i].y);
+            });
+        }
+    }
+
+    /**
+     * Move the notes back to where they were before the last arrange
+     */
+    _undoArrange() {
+        if (!this._arrangeUndo) {
+            return;
+        }
+        for (const { note, placement } of this._arrangeUndo) {
+            if (this._allNotes.includes(note)) {
+                note.restorePlacement(placement);
+            }
+        }
+        this._arrangeUndo = null;
+    }
+
+    /**
+     * Get the snapping options for dragging a note
+     * 
+     * @returns {object|null} - Options for `Snapping.snapPosition()`, or null if snapping is off
+     */
+    getSnapOptions() {
+        const options = {
+            gridSize: this.settings.get_boolean('snap-to-grid') ? this.settings.get_int('grid-size') : 0,
+            edges: this.settings.get_boolean('snap-to-edges'),
+            notes: this.settings.get_boolean('snap-to-notes'),
+        };
+        return options.gridSize > 0 || options.edges || options.notes ? options : null;
+    }
+
+    /**
+     * Get the rectangles of the notes shown on screen
+     * 
+     * @param {NoteBox.NoteBox} [except] - Note to leave out
+     * @returns {object[]} - Rectangles as `{ x, y, width, height }` in stage coordinates
+     */
+    getNoteRects(except = null) {
+        return this._allNotes
+            .filter(note => note !== except && note.mapped)
+            .map(note => {
+                const [x, y] = note.get_transformed_position();
+                return { x, y, width: note.width, height: note.height };
+            });
     }
 
     /**
@@ -228,8 +1106,13 @@ class NotesManager {
      * Makes all notes visible on the desktop.
      */
     _showNotes() {
+        // Don't let a pending hide take the notes out of their layer
+        if (this._timeout_id) {
+            GLib.source_remove(this._timeout_id);
+            this._timeout_id = null;
+        }
         this._notesAreVisible = true;
-        this._allNotes.forEach(note => note.show());
+        this._updateNoteVisibility();
     }
 
     /**
@@ -240,7 +1123,7 @@ class NotesManager {
     _hideNotes() {
         this._notesAreVisible = false;
         this._allNotes.forEach(note => {
-            note.actor.hide();
+            note.onlyHide();
         });
         this._timeout_id = GLib.timeout_add(GLib.PRIORITY_DEFAULT, 100, () => {
             this._allNotes.forEach(note => {
@@ -261,84 +1144,105 @@ class NotesManager {
     }
 
     /**
-     * Delete note files for a specific ID
-     * 
-     * Removes the text and state files for a note.
+     * Handle button press event
      * 
-     * @param {number} id - Note ID
+     * Toggles the visibility of notes, like a middle-click on the panel button.
      */
-    _deleteNoteFiles(id) {
-        try {
-            const filePathBase = GLib.build_filenamev([PATH, id.toString()]);
-            const textFilePath = `${filePathBase}_text`;
-            const stateFilePath = `${filePathBase}_state`;
-            
-            // Create file objects using the correct Gio method
-            const textFile = Gio.File.new_for_path(textFilePath);
-            const stateFile = Gio.File.new_for_path(stateFilePath);
-            
-            // Delete the files if they exist
-            if (GLib.file_test(textFilePath, GLib.FileTest.EXISTS)) {
-            textFile.delete(null);
-                log(`Notes Extension: Deleted text file: ${textFilePath}`);
-            }
-            
-            if (GLib.file_test(stateFilePath, GLib.FileTest.EXISTS)) {
-            stateFile.delete(null);
-                log(`Notes Extension: Deleted state file: ${stateFilePath}`);
-            }
-        } catch (e) {
-            log(`Notes Extension: Error deleting note files: ${e}`);
-        }
+    _onButtonPressed() {
+        this.setNotesVisible(!this._notesAreVisible);
     }
 
     /**
-     * Handle button press event
-     * 
-     * Toggles the visibility of notes when the panel button is clicked.
+     * Show or hide all notes
      * 
-     * @returns {boolean} - Whether the event was handled
+     * @param {boolean} visible - Whether the notes should be visible
      */
-    _onButtonPressed() {
+    setNotesVisible(visible) {
         if (!this._notesLoaded) {
             this._loadAllNotes();
         }
 
-        // We've disabled layer cycling - notes are always on background
-        // If needed, reload notes into the correct layer
+        if (!visible) {
+            if (this._notesAreVisible) {
+                this._hideNotes();
+            }
+            return;
+        }
+
+        if (this._allNotes.length === 0) {
+            this.createNote();
+        }
+        if (this._notesAreVisible) {
+            return;
+        }
+
+        // Reload notes into their layer, hiding may have removed them
         this._allNotes.forEach(note => {
             note.removeFromCorrectLayer();
             note.loadIntoCorrectLayer();
         });
-
-        if (this._allNotes.length === 0) {
-            this.createNote('', 16);
-            this._showNotes();
-        } else if (this._notesAreVisible) {
-            this._hideNotes();
-        } else {
-            this._showNotes();
-        }
+        this._showNotes();
     }
 
     /**
      * Clean up resources when extension is disabled
      * 
-     * Disconnects signals, saves notes, and removes UI elements.
+     * Flushes pending saves, destroys notes, and removes UI elements.
      */
     destroy() {
-        // Save and destroy all notes
+        if (this.dbus) {
+            this.dbus.destroy();
+            this.dbus = null;
+        }
+
+        this._removeKeybindings();
+
+        if (this._workspaceSignalIds) {
+            this._workspaceSignalIds.forEach(id => global.workspace_manager.disconnect(id));
+            this._workspaceSignalIds = null;
+        }
+
+        if (this.reminders) {
+            this.reminders.destroy();
+            this.reminders = null;
+        }
+
+        if (this.monitors) {
+            this.monitors.destroy();
+            this.monitors = null;
+        }
+        if (this.snapGuides) {
+            this.snapGuides.destroy();
+            this.snapGuides = null;
+        }
+        if (this._workareasChangedId) {
+            global.display.disconnect(this._workareasChangedId);
+            this._workareasChangedId = null;
+        }
+
+        this._stopSync();
+        this.store?.unwatch();
+
+        // Write every pending change before the notes go away
+        if (this.saveQueue) {
+            this._allNotes.forEach(note => note.onlySave());
+            this.saveQueue.destroy();
+            this.saveQueue = null;
+            this.history.destroy();
+            this.history = null;
+        }
+
+        // Destroy all notes
         if (this._allNotes) {
-        this._allNotes.forEach(note => {
+            this._allNotes.forEach(note => {
                 try {
                     if (note) {
-            note.onlySave(false);
-            note.destroy();
+                        note.destroy();
                     }
                 } catch (e) {
                     log(`Notes Extension: Error destroying note: ${e}`);
                 }
-        });
+            });
             this._allNotes = [];
         }
 
@@ -352,11 +1256,22 @@ class NotesManager {
             }
         }
 
-        // Remove timeout
+        // Remove timeouts
         if (this._timeout_id) {
             GLib.source_remove(this._timeout_id);
             this._timeout_id = null;
         }
+        if (this._trashTimeoutId) {
+            GLib.source_remove(this._trashTimeoutId);
+            this._trashTimeoutId = null;
+        }
+
+        Notifications.destroy();
+
+        if (this._settingsChangedId) {
+            this.settings.disconnect(this._settingsChangedId);
+            this._settingsChangedId = null;
+        }
         
         log('Notes Extension: Successfully destroyed');
     }
@@ -0,0 +1,218 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file decides when earlier versions of a note's text are kept.
+ *            A revision is taken when the text changes a lot at once (e.g. it is
+ *            cleared or a large part is replaced) or when the last revision is old.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import Gio from 'gi://Gio';
+
+/**
+ * Maximum number of revisions kept per note
+ */
+const MAX_REVISIONS = 50;
+
+/**
+ * Minimum time in milliseconds between two revisions of small edits
+ */
+const REVISION_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * Number of changed characters that always makes a revision
+ */
+const MEANINGFUL_CHANGE = 40;
+
+/**
+ * Count the characters that differ between two texts
+ *
+ * Only the changed middle part is counted, after removing the common
+ * prefix and suffix. This is cheap and good enough to spot large edits.
+ *
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {number} - Number of changed characters
+ */
+function changeSize(before, after) {
+	let prefix = 0;
+	const shortest = Math.min(before.length, after.length);
+	while (prefix < shortest && before[prefix] === after[prefix]) {
+		prefix++;
+	}
+	let suffix = 0;
+	while (suffix < shortest - prefix &&
+		before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+		suffix++;
+	}
+	return Math.max(before.length, after.length) - prefix - suffix;
+}
+
+/**
+ * NoteHistory class
+ *
+ * Keeps a bounded list of earlier versions of every note's text.
+ * The save queue reports every text that is written; the version it
+ * replaces becomes a revision when the change is meaningful.
+ */
+export class NoteHistory {
+	/**
+	 * Create the history
+	 *
+	 * @param {NoteStore} store - Store the revisions are saved to
+	 */
+	constructor(store) {
+		this._store = store;
+
+		// Note ID -> { text, lastRevision } with the last saved text
+		this._states = new Map();
+
+		// Note ID -> revisions, oldest first, as last written to the store
+		this._revisions = new Map();
+
+		// Note ID -> promise of the last history write, so writes never overtake each other
+		this._writes = new Map();
+
+		// IDs of the notes whose latest revisions aren't written yet
+		this._unsaved = new Set();
+
+		// Cancels the asynchronous writes when flush() writes synchronously
+		this._cancellable = new Gio.Cancellable();
+	}
+
+	/**
+	 * Get the revisions of a note, loading them on first use
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {object[]} - Revisions as `{ time, text }`, oldest first
+	 */
+	_getRevisions(id) {
+		if (!this._revisions.has(id)) {
+			this._revisions.set(id, this._store.loadHistory(id));
+		}
+		return this._revisions.get(id);
+	}
+
+	/**
+	 * Remember the text a note was loaded with
+	 *
+	 * @param {string} id - Note ID
+	 * @param {string} text - Loaded text
+	 */
+	seed(id, text) {
+		const revisions = this._getRevisions(id);
+		const lastRevision = revisions.length > 0 ? revisions[revisions.length - 1].time : 0;
+		this._states.set(id, { text, lastRevision });
+	}
+
+	/**
+	 * Record a text that is about to be saved
+	 *
+	 * @param {string} id - Note ID
+	 * @param {string} text - New text of the note
+	 */
+	record(id, text) {
+		const state = this._states.get(id);
+		if (!state) {
+			this._states.set(id, { text, lastRevision: 0 });
+			return;
+		}
+		if (state.text === text) {
+			return;
+		}
+
+		const now = Date.now();
+		const meaningful = changeSize(state.text, text) >= MEANINGFUL_CHANGE ||
+			now - state.lastRevision >= REVISION_INTERVAL;
+		if (meaningful && state.text.trim() !== '') {
+			this._addRevision(id, state.text, now);
+			state.lastRevision = now;
+		}
+		state.text = text;
+	}
+
+	/**
+	 * Add a revision and drop the oldest ones above the limit
+	 *
+	 * @param {string} id - Note ID
+	 * @param {string} text - Text of the revision
+	 * @param {number} time - Time the text was replaced, in milliseconds
+	 */
+	_addRevision(id, text, time) {
+		let revisions = this._getRevisions(id);
+		if (revisions.length > 0 && revisions[revisions.length - 1].text === text) {
+			return;
+		}
+		revisions = [...revisions, { time, text }].slice(-MAX_REVISIONS);
+		this._revisions.set(id, revisions);
+		this._unsaved.add(id);
+
+		// Queued writes that have newer revisions after them are skipped
+		const cancellable = this._cancellable;
+		const previousWrite = this._writes.get(id) ?? Promise.resolve();
+		this._writes.set(id, previousWrite.then(async () => {
+			if (cancellable.is_cancelled() || this._revisions.get(id) !== revisions) {
+				return;
+			}
+			if (await this._store.saveHistoryAsync(id, revisions, cancellable) &&
+				this._revisions.get(id) === revisions) {
+				this._unsaved.delete(id);
+			}
+		}));
+	}
+
+	/**
+	 * Write all revisions that aren't written yet synchronously
+	 *
+	 * Asynchronous writes in progress are cancelled, so they can never
+	 * finish after the final write.
+	 */
+	flush() {
+		this._cancellable.cancel();
+		this._cancellable = new Gio.Cancellable();
+		this._writes.clear();
+
+		for (const id of this._unsaved) {
+			const revisions = this._revisions.get(id);
+			if (revisions) {
+				this._store.saveHistory(id, revisions);
+			}
+		}
+		this._unsaved.clear();
+	}
+
+	/**
+	 * Write the revisions that aren't written yet and stop writing
+	 */
+	destroy() {
+		this.flush();
+		this._cancellable.cancel();
+	}
+
+	/**
+	 * List the revisions of a note
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {object[]} - Revisions as `{ time, text }`, newest first
+	 */
+	list(id) {
+		return [...this._getRevisions(id)].reverse();
+	}
+
+	/**
+	 * Forget a note, e.g. because it was deleted
+	 *
+	 * The saved revisions stay with the note in the trash.
+	 *
+	 * @param {string} id - Note ID
+	 */
+	forget(id) {
+		this._states.delete(id);
+		this._revisions.delete(id);
+	}
+}
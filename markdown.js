@@ -0,0 +1,177 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file converts the Markdown used in notes to Pango markup.
+ *            It supports headings, bold, italic, inline code, bullet, numbered
+ *            and task lists, and links. Anything else is shown as typed.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import Pango from 'gi://Pango';
+
+/**
+ * Pango font sizes of the heading levels
+ */
+const HEADING_SIZES = ['xx-large', 'x-large', 'large', 'medium', 'medium', 'medium'];
+
+/**
+ * Color of link text
+ */
+const LINK_COLOR = '#1a5fb4';
+
+/**
+ * Escape text for Pango markup
+ *
+ * @param {string} text - Plain text
+ * @returns {string} - Escaped text
+ */
+function escape(text) {
+	return text
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;')
+		.replace(/'/g, '&apos;');
+}
+
+/**
+ * Tags of the emphasis delimiters, by the length of the delimiter run
+ */
+const EMPHASIS_TAGS = [null, ['<i>', '</i>'], ['<b>', '</b>'], ['<b><i>', '</i></b>']];
+
+/**
+ * Format the emphasis of a text
+ *
+ * Runs of one to three `*` or `_` open and close italic, bold or both.
+ * A closing run closes the nearest open run of the same kind; runs opened
+ * after that one stay as typed, so the tags always nest properly.
+ *
+ * @param {string} text - Markdown text without code spans and links
+ * @returns {string} - Pango markup
+ */
+function formatEmphasis(text) {
+	const pieces = [];
+	// Open runs as { char, length, index } with the index of their piece
+	const open = [];
+	const runs = /(\*{1,3}|_{1,3})(?![*_])/g;
+	let last = 0;
+	let match;
+	while ((match = runs.exec(text)) !== null) {
+		// Longer runs, like horizontal rules, are shown as typed
+		if (match.index > 0 && text[match.index - 1] === match[1][0]) {
+			continue;
+		}
+		pieces.push(escape(text.slice(last, match.index)));
+		last = runs.lastIndex;
+
+		const run = match[1];
+		const before = text[match.index - 1] ?? ' ';
+		const after = text[runs.lastIndex] ?? ' ';
+		let canOpen = /\S/.test(after);
+		let canClose = /\S/.test(before);
+		if (run[0] === '_') {
+			// Underscores inside words are no emphasis
+			canOpen &&= !/\w/.test(before);
+			canClose &&= !/\w/.test(after);
+		}
+
+		const opener = canClose
+			? open.findLastIndex(entry => entry.char === run[0] && entry.length === run.length)
+			: -1;
+		if (opener >= 0) {
+			const [openTag, closeTag] = EMPHASIS_TAGS[run.length];
+			pieces[open[opener].index] = openTag;
+			pieces.push(closeTag);
+			open.length = opener;
+		} else {
+			if (canOpen) {
+				open.push({ char: run[0], length: run.length, index: pieces.length });
+			}
+			pieces.push(run);
+		}
+	}
+	pieces.push(escape(text.slice(last)));
+	return pieces.join('');
+}
+
+/**
+ * Format the inline elements of a line
+ *
+ * Code spans are cut out first so that nothing inside them is formatted.
+ * Emphasis is formatted inside and outside links, but never across them.
+ *
+ * @param {string} text - One line of Markdown
+ * @returns {string} - Pango markup
+ */
+function formatInline(text) {
+	return text.split(/(`[^`]+`)/).map((part, index) => {
+		// Odd parts are the code spans captured by the split
+		if (index % 2 === 1) {
+			return `<tt>${escape(part.slice(1, -1))}</tt>`;
+		}
+		// The split captures the text and the URL of every link
+		return part.split(/\[([^\]]+)\]\(([^)\s]+)\)/).map((piece, pieceIndex) => {
+			if (pieceIndex % 3 === 1) {
+				return `<span foreground="${LINK_COLOR}" underline="single">${formatEmphasis(piece)}</span>`;
+			}
+			return pieceIndex % 3 === 2 ? '' : formatEmphasis(piece);
+		}).join('');
+	}).join('');
+}
+
+/**
+ * Format one line of Markdown
+ *
+ * @param {string} line - One line of Markdown
+ * @returns {string} - Pango markup
+ */
+function formatLine(line) {
+	let match = line.match(/^(#{1,6})\s+(.*)$/);
+	if (match) {
+		const size = HEADING_SIZES[match[1].length - 1];
+		return `<span size="${size}" weight="bold">${formatInline(match[2])}</span>`;
+	}
+
+	match = line.match(/^(\s*)[-*+]\s+\[([ xX])\]\s+(.*)$/);
+	if (match) {
+		const box = match[2] === ' ' ? '☐' : '☑';
+		return `${match[1]}${box} ${formatInline(match[3])}`;
+	}
+
+	match = line.match(/^(\s*)[-*+]\s+(.*)$/);
+	if (match) {
+		return `${match[1]}  • ${formatInline(match[2])}`;
+	}
+
+	match = line.match(/^(\s*)(\d+)[.)]\s+(.*)$/);
+	if (match) {
+		return `${match[1]}  ${match[2]}. ${formatInline(match[3])}`;
+	}
+
+	return formatInline(line);
+}
+
+/**
+ * Convert Markdown text to Pango markup
+ *
+ * Markup that Pango rejects would draw the note blank, so the text is
+ * shown as typed then.
+ *
+ * @param {string} text - Markdown text
+ * @returns {string} - Pango markup
+ */
+export function toPangoMarkup(text) {
+	const markup = text.split('\n').map(formatLine).join('\n');
+	try {
+		Pango.parse_markup(markup, -1, '');
+		return markup;
+	} catch (e) {
+		log(`Notes Extension: Markdown could not be rendered: ${e}`);
+		return escape(text);
+	}
+}
@@ -11,7 +11,7 @@
 'use strict';
 
 // Import GNOME libraries
-import * as Clutter from 'gi://Clutter';
+import Clutter from 'gi://Clutter';
 import St from 'gi://St';
 import * as Main from 'resource:///org/gnome/shell/ui/main.js';
 import * as PopupMenu from 'resource:///org/gnome/shell/ui/popupMenu.js';
@@ -26,6 +26,9 @@ import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 
 // Import our own modules
 import * as NoteBox from './noteBox.js';
+import * as NoteStore from './noteStore.js';
+import * as Reminders from './reminders.js';
+import * as Exporter from './exporter.js';
 import Dialog from './dialog.js';
 
 /**
@@ -92,7 +95,8 @@ export default Menu;
  * NoteOptionsMenu class
  * 
  * Provides a popup menu with options for a note.
- * This menu allows users to change the note's color and font size.
+ * This menu allows users to change the note's color and font size,
+ * and to browse earlier versions of the note.
  */
 export class NoteOptionsMenu extends PopupMenu.PopupMenu {
 	/**
@@ -116,7 +120,8 @@ export class NoteOptionsMenu extends PopupMenu.PopupMenu {
 	/**
 	 * Build the menu with all options
 	 * 
-	 * Creates the color and font size submenus with their respective options.
+	 * Creates the color and font size submenus with their respective options,
+	 * followed by the other note actions.
 	 */
 	_buildMenu() {
 		let item;
@@ -161,6 +166,111 @@ export class NoteOptionsMenu extends PopupMenu.PopupMenu {
 			});
 			sizeSubMenu.menu.addMenuItem(item);
 		}
+
+		// Workspace submenu
+		const workspaceSubMenu = new PopupMenu.PopupSubMenuMenuItem("Show on");
+		this.addMenuItem(workspaceSubMenu);
+		this._workspaceItems = [
+			{ label: "This workspace", workspace: 'current' },
+			{ label: "All workspaces", workspace: 'all' }
+		].map(choice => {
+			item = new PopupMenu.PopupMenuItem(choice.label);
+			item.connect('activate', () => {
+				this._note.setWorkspace(choice.workspace);
+			});
+			workspaceSubMenu.menu.addMenuItem(item);
+			return { item, workspace: choice.workspace };
+		});
+
+		// Layer submenu
+		const layerSubMenu = new PopupMenu.PopupSubMenuMenuItem("Layer");
+		this.addMenuItem(layerSubMenu);
+		this._layerItems = [
+			{ label: "Desktop", layer: 'desktop' },
+			{ label: "Above windows", layer: 'normal' },
+			{ label: "Always on top", layer: 'top' }
+		].map(choice => {
+			item = new PopupMenu.PopupMenuItem(choice.label);
+			item.connect('activate', () => {
+				this._note.setLayer(choice.layer);
+			});
+			layerSubMenu.menu.addMenuItem(item);
+			return { item, layer: choice.layer };
+		});
+
+		// Markdown rendering
+		this._markdownItem = new PopupMenu.PopupSwitchMenuItem("Markdown", this._note.markdown);
+		this._markdownItem.connect('toggled', (menuItem, state) => {
+			this._note.setMarkdown(state);
+		});
+		this.addMenuItem(this._markdownItem);
+
+		// Checklist conversion
+		this._typeItem = new PopupMenu.PopupMenuItem("Convert to checklist");
+		this._typeItem.connect('activate', () => {
+			this._note.setType(this._note.type === 'checklist' ? 'text' : 'checklist');
+		});
+		this.addMenuItem(this._typeItem);
+
+		this._clearCompletedItem = new PopupMenu.PopupMenuItem("Clear completed");
+		this._clearCompletedItem.connect('activate', () => {
+			this._note.clearCompleted();
+		});
+		this.addMenuItem(this._clearCompletedItem);
+
+		this.connect('open-state-changed', (menu, isOpen) => {
+			if (isOpen) {
+				const isChecklist = this._note.type === 'checklist';
+				this._markdownItem.setToggleState(this._note.markdown);
+				const onAll = this._note.workspace === 'all';
+				for (const { item: workspaceItem, workspace } of this._workspaceItems) {
+					const selected = (workspace === 'all') === onAll;
+					workspaceItem.setOrnament(selected ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.NONE);
+				}
+				for (const { item: layerItem, layer } of this._layerItems) {
+					layerItem.setOrnament(layer === this._note.layer ? PopupMenu.Ornament.DOT : PopupMenu.Ornament.NONE);
+				}
+				this._markdownItem.visible = !isChecklist;
+				this._typeItem.label.text = isChecklist ? "Convert to text" : "Convert to checklist";
+				this._clearCompletedItem.visible = isChecklist;
+				const reminder = this._note.reminder;
+				this._reminderItem.label.text = reminder
+					? `Reminder: ${Reminders.formatTime(Reminders.dueTime(reminder))}…`
+					: "Set reminder…";
+			}
+		});
+
+		// Title
+		item = new PopupMenu.PopupMenuItem("Edit title…");
+		item.connect('activate', () => {
+			this._note.editTitle();
+		});
+		this.addMenuItem(item);
+
+		// Reminder
+		this._reminderItem = new PopupMenu.PopupMenuItem("Set reminder…");
+		this._reminderItem.connect('activate', () => {
+			this._note.editReminder();
+		});
+		this.addMenuItem(this._reminderItem);
+
+		// Revision history
+		item = new PopupMenu.PopupMenuItem("History…");
+		item.connect('activate', () => {
+			this._note.showHistory();
+		});
+		this.addMenuItem(item);
+
+		// Export
+		const exportSubMenu = new PopupMenu.PopupSubMenuMenuItem("Export");
+		this.addMenuItem(exportSubMenu);
+		for (const format of Exporter.FORMATS) {
+			const exportItem = new PopupMenu.PopupMenuItem(`${format.label}…`);
+			exportItem.connect('activate', () => {
+				this._note.exportTo(format.id);
+			});
+			exportSubMenu.menu.addMenuItem(exportItem);
+		}
 	}
 }
 
@@ -255,3 +365,107 @@ export class NoteRoundButton {
 	}
 }
 
+
+//------------------------------------------------------------------------------
+
+/**
+ * Describe how long ago a time was, e.g. "3 days ago"
+ * 
+ * @param {number} timestamp - Time in milliseconds since the epoch
+ * @returns {string} - Human readable age
+ */
+function formatAge(timestamp) {
+	const minutes = Math.floor((Date.now() - timestamp) / 60000);
+	if (minutes < 1) {
+		return "just now";
+	} else if (minutes < 60) {
+		return `${minutes} min ago`;
+	} else if (minutes < 60 * 24) {
+		return `${Math.floor(minutes / 60)} h ago`;
+	}
+	const days = Math.floor(minutes / (60 * 24));
+	return days === 1 ? "1 day ago" : `${days} days ago`;
+}
+
+/**
+ * TrashMenuItem class
+ * 
+ * Menu item for a deleted note in the panel menu.
+ * Activating the item restores the note; the trash button purges it.
+ */
+export const TrashMenuItem = GObject.registerClass(
+class TrashMenuItem extends PopupMenu.PopupBaseMenuItem {
+	/**
+	 * Create a trash menu item
+	 * 
+	 * @param {object} document - Trashed note document
+	 * @param {Function} onRestore - Called to restore the note
+	 * @param {Function} onPurge - Called to delete the note for good
+	 */
+	_init(document, onRestore, onPurge) {
+		super._init();
+
+		const label = new St.Label({
+			text: `${NoteStore.describe(document) || "Empty note"} (${formatAge(document.deletedAt)})`,
+			x_expand: true,
+			y_align: Clutter.ActorAlign.CENTER,
+		});
+		this.add_child(label);
+		this.label_actor = label;
+
+		const restoreButton = new St.Button({
+			style_class: 'notesButton',
+			can_focus: true,
+			accessible_name: "Restore",
+			child: new St.Icon({ icon_name: 'edit-undo-symbolic', icon_size: 16 }),
+		});
+		restoreButton.connect('clicked', () => this.activate(Clutter.get_current_event()));
+		this.add_child(restoreButton);
+
+		const purgeButton = new St.Button({
+			style_class: 'notesButton',
+			can_focus: true,
+			accessible_name: "Delete for good",
+			child: new St.Icon({ icon_name: 'edit-delete-symbolic', icon_size: 16 }),
+		});
+		purgeButton.connect('clicked', () => onPurge());
+		this.add_child(purgeButton);
+
+		this.connect('activate', () => onRestore());
+	}
+});
+
+//------------------------------------------------------------------------------
+
+/**
+ * NoteMenuItem class
+ * 
+ * Menu item for a note in the panel menu.
+ * Shows the note's color and the beginning of its text.
+ */
+export const NoteMenuItem = GObject.registerClass(
+class NoteMenuItem extends PopupMenu.PopupBaseMenuItem {
+	/**
+	 * Create a note menu item
+	 * 
+	 * @param {NoteBox.NoteBox} note - The note the item stands for
+	 */
+	_init(note) {
+		super._init();
+
+		const swatch = new St.Widget({
+			style_class: 'notes-menu-swatch',
+			style: `background-color: rgb(${note.customColor});`,
+			y_align: Clutter.ActorAlign.CENTER,
+		});
+		this.add_child(swatch);
+
+		const label = new St.Label({
+			text: note.getLabel() || "Empty note",
+			x_expand: true,
+			y_align: Clutter.ActorAlign.CENTER,
+		});
+		this.add_child(label);
+		this.label_actor = label;
+	}
+});
@@ -0,0 +1,121 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file maps monitors to stable keys.
+ *            Notes remember their monitor by its connector name (e.g. `HDMI-1`),
+ *            because monitor indices change when monitors are added or removed.
+ *            The connector names are read from Mutter's DisplayConfig D-Bus API.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import Gio from 'gi://Gio';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+Gio._promisify(Gio.DBusConnection.prototype, 'call');
+
+/**
+ * MonitorTracker class
+ *
+ * Knows the connector of every monitor and reports changes of the monitor layout.
+ */
+export class MonitorTracker {
+	/**
+	 * Create a monitor tracker
+	 *
+	 * @param {Function} onChanged - Called after the monitors changed
+	 */
+	constructor(onChanged) {
+		this._onChanged = onChanged;
+		this._cancellable = new Gio.Cancellable();
+
+		// Monitor index -> connector
+		this._connectors = new Map();
+
+		this._monitorsChangedId = Main.layoutManager.connect('monitors-changed', () => this._refresh());
+		this._refresh();
+	}
+
+	/**
+	 * Read the connectors of the current monitors
+	 */
+	async _refresh() {
+		const monitorManager = global.backend.get_monitor_manager();
+		try {
+			const reply = await Gio.DBus.session.call(
+				'org.gnome.Mutter.DisplayConfig',
+				'/org/gnome/Mutter/DisplayConfig',
+				'org.gnome.Mutter.DisplayConfig',
+				'GetCurrentState',
+				null, null, Gio.DBusCallFlags.NONE, -1, this._cancellable);
+			const [, monitors] = reply.deep_unpack();
+
+			this._connectors.clear();
+			for (const [[connector]] of monitors) {
+				const index = monitorManager.get_monitor_for_connector(connector);
+				if (index >= 0) {
+					this._connectors.set(index, connector);
+				}
+			}
+		} catch (e) {
+			if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+				log(`Notes Extension: Error reading monitor connectors: ${e}`);
+			}
+			return;
+		}
+		this._onChanged();
+	}
+
+	/**
+	 * Get the connector of a monitor
+	 *
+	 * @param {number} index - Monitor index
+	 * @returns {string|null} - Connector name, or null if not known yet
+	 */
+	getConnector(index) {
+		return this._connectors.get(index) ?? null;
+	}
+
+	/**
+	 * Get the monitor a connector belongs to
+	 *
+	 * @param {string|null} connector - Connector name
+	 * @returns {object|null} - Monitor from the layout manager, or null if not connected
+	 */
+	getMonitor(connector) {
+		if (!connector) {
+			return null;
+		}
+		const index = global.backend.get_monitor_manager().get_monitor_for_connector(connector);
+		return Main.layoutManager.monitors[index] ?? null;
+	}
+
+	/**
+	 * Get the index of the monitor showing a point
+	 *
+	 * @param {number} x - Stage X coordinate
+	 * @param {number} y - Stage Y coordinate
+	 * @returns {number} - Monitor index, the primary monitor if no monitor contains the point
+	 */
+	getIndexAt(x, y) {
+		const index = Main.layoutManager.monitors.findIndex(monitor =>
+			x >= monitor.x && x < monitor.x + monitor.width &&
+			y >= monitor.y && y < monitor.y + monitor.height);
+		return index === -1 ? Main.layoutManager.primaryIndex : index;
+	}
+
+	/**
+	 * Stop tracking the monitors
+	 */
+	destroy() {
+		this._cancellable.cancel();
+		if (this._monitorsChangedId) {
+			Main.layoutManager.disconnect(this._monitorsChangedId);
+			this._monitorsChangedId = 0;
+		}
+	}
+}
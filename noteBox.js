@@ -9,7 +9,7 @@
 'use strict';
 
 // Import GNOME libraries
-import * as Clutter from 'gi://Clutter';
+import Clutter from 'gi://Clutter';
 import St from 'gi://St';
 import GLib from 'gi://GLib';
 import Gio from 'gi://Gio';
@@ -23,15 +23,23 @@ import * as PanelMenu from 'resource:///org/gnome/shell/ui/panelMenu.js';
 
 import * as Menus from './menus.js';
 import Dialog from './dialog.js';
+import * as SaveQueue from './saveQueue.js';
+import * as Markdown from './markdown.js';
+import * as Checklist from './checklist.js';
+import * as Snapping from './snapping.js';
+import * as NoteStore from './noteStore.js';
 
 import GObject from 'gi://GObject';
 
-// Path to store notes data
-const PATH = GLib.build_filenamev([GLib.get_user_data_dir(), 'notes_data']);
-
 const MIN_HEIGHT = 75;
 const MIN_WIDTH = 200;
 
+// Stacking layers a note can be shown in
+export const LAYERS = ['desktop', 'normal', 'top'];
+
+// Duration of the move when notes are arranged, in milliseconds
+const ARRANGE_DURATION = 250;
+
 function stringFromArray(data) {
 	// Modern approach for GNOME 45+ that doesn't use ByteArray
 	if (data instanceof Uint8Array) {
@@ -58,18 +66,33 @@ export const NoteBox = GObject.registerClass({
 		this.id = id;
 		this._extension = extension;
 		this._manager = manager;
-		this._fontSize = fontSize || 12;
+		this._settings = manager.settings;
+		this._fontSize = fontSize || this._settings.get_int('font-size');
 		this._isBold = false; // Add bold state
+		this._markdown = false;
+		this._rendered = false;
+		this._rawText = '';
+		this._type = 'text';
+		this._grabbedActor = null;
+		this._reminder = null;
+		this._monitorConnector = null;
+		this._refWidth = null;
+		this._refHeight = null;
+		this._workspace = 'all';
+		this._workspaceObject = null;
+		this._layer = 'desktop';
+		this._loadedLayer = null;
+		this._title = '';
 		
 		// Store the initial color but don't apply it yet
 		// We'll apply it after loading state or use this as default
-		this.customColor = colorString || '245,176,65';
+		this.customColor = colorString || this._settings.get_string('default-color');
 		this._fontColor = '';
 		this.entry_is_visible = true;
 		
 		// Initialize position and dimensions with default values
-		this._width = 250;
-		this._height = 180;
+		this._width = this._settings.get_int('default-width');
+		this._height = this._settings.get_int('default-height');
 		
 		// Set initial position - this will be overridden by _loadState if a saved position exists
 		[this._x, this._y] = this._computeRandomPosition();
@@ -80,11 +103,19 @@ export const NoteBox = GObject.registerClass({
 		// Then build the note which will use the menu
 		this._buildNote();
 		
-		// Load saved state (position, size, color, etc.)
+		// Load saved text and state (position, size, color, etc.)
 		this._loadState();
-		
-		// Load text content
-		this._loadText();
+
+		// Save the text once the user stops typing
+		this.noteEntry.get_clutter_text().connect('text-changed', () => {
+			if (!this._rendered) {
+				this._manager.saveQueue.schedule(this, SaveQueue.TEXT_DELAY);
+			}
+		});
+
+		// Show Markdown notes rendered while they are not edited
+		this.noteEntry.get_clutter_text().connect('key-focus-out', () => this._renderMarkdown());
+		this._renderMarkdown();
 		
 		// Add to the correct layer
 		this.loadIntoCorrectLayer();
@@ -135,6 +166,16 @@ export const NoteBox = GObject.registerClass({
 		});
 
 		this._entryBox.add_child(this.noteEntry);
+
+		// Checklist notes show their items instead of the text entry
+		this._checklist = new Checklist.ChecklistView(actor => this._grabKeyFocus(actor));
+		this._checklist.visible = false;
+		this._checklist.connect('changed', () => {
+			this._updateCounter();
+			this._manager.saveQueue.schedule(this, SaveQueue.TEXT_DELAY);
+		});
+		this._entryBox.add_child(this._checklist);
+
 		this._scrollView.add_child(this._entryBox);
 		this.add_child(this._scrollView);
 	}
@@ -145,6 +186,13 @@ export const NoteBox = GObject.registerClass({
 		// Always use button-press-event for focus
 		this.noteEntry.connect('button-press-event', this._getKeyFocus.bind(this));
 		this.noteEntry.connect('leave-event', this._leaveKeyFocus.bind(this));
+		this._checklist.connect('leave-event', (actor, event) => {
+			// Moving between the items doesn't count as leaving
+			const related = event.get_related();
+			if (!related || !actor.contains(related)) {
+				this._leaveKeyFocus();
+			}
+		});
 		
 		this.connect('notify::hover', this._applyActorStyle.bind(this));
 	}
@@ -193,8 +241,23 @@ export const NoteBox = GObject.registerClass({
 			x_expand: true,
 			style_class: 'notesTitleButton'
 		});
+		this._titleLabel = new St.Label({
+			style_class: 'notesTitleLabel',
+			x_align: Clutter.ActorAlign.START,
+			y_align: Clutter.ActorAlign.CENTER,
+		});
+		this._titleLabel.clutter_text.set_ellipsize(Pango.EllipsizeMode.END);
+		this.moveBox.set_child(this._titleLabel);
 		this._buttonsBox.add_child(this.moveBox);
 
+		// "3/7 done" counter of checklist notes
+		this._counterLabel = new St.Label({
+			style_class: 'notesChecklistCounter',
+			y_align: Clutter.ActorAlign.CENTER,
+			visible: false,
+		});
+		this._buttonsBox.add_child(this._counterLabel);
+
 		// Ensure the menu exists before creating the options button
 		if (this._menu) {
 			const optionsBtn = new Menus.NoteRoundButton(
@@ -254,8 +317,15 @@ export const NoteBox = GObject.registerClass({
 		// Apply position before adding to layer
 		this._setNotePosition();
 
-		// Always add to the background layer
-		if (Main.layoutManager._backgroundGroup) {
+		if (this._layer === 'top') {
+			// Chrome above all windows and panels
+			Main.layoutManager.addTopChrome(this, { affectsInputRegion: true });
+		} else if (this._layer === 'normal') {
+			// Above the windows, below the panels and popups; tracked so that
+			// the note gets input on X11
+			global.window_group.add_child(this);
+			Main.layoutManager.trackChrome(this, { affectsInputRegion: true });
+		} else if (Main.layoutManager._backgroundGroup) {
 			Main.layoutManager._backgroundGroup.add_child(this);
 		} else {
 			// Fallback for older GNOME versions
@@ -270,17 +340,25 @@ export const NoteBox = GObject.registerClass({
 			}
 		}
 		
+		this._loadedLayer = this._layer;
+		
 		// Apply position again after adding to layer to ensure it's correct
 		this._setNotePosition();
 	}
 
 	removeFromCorrectLayer() {
 		try {
-			// Always remove from parent, regardless of which layer it was in
+			// Remove from the layer the note was added to
 			const parent = this.get_parent();
-			if (parent) {
+			if (this._loadedLayer === 'top' && parent) {
+				Main.layoutManager.removeChrome(this);
+			} else if (parent) {
+				if (this._loadedLayer === 'normal') {
+					Main.layoutManager.untrackChrome(this);
+				}
 				parent.remove_child(this);
 			}
+			this._loadedLayer = null;
 		} catch (e) {
 			log(`Notes Extension: Error removing note from layer: ${e}`);
 		}
@@ -298,16 +376,46 @@ export const NoteBox = GObject.registerClass({
 		super.hide();
 	}
 
-	onlySave(withMetadata=true) {
-		if(withMetadata) {
-			this._saveState();
+	onlySave() {
+		this._manager.saveQueue.schedule(this);
+	}
+
+	serialize() {
+		// Ensure position values are valid before saving
+		if (isNaN(this._x) || isNaN(this._y)) {
+			log(`Notes Extension: Invalid position values, fixing before saving`);
+			[this._x, this._y] = this._computeRandomPosition();
+			this._setNotePosition();
 		}
-		this._saveText();
+
+		return {
+			id: this.id,
+			text: this.getText(),
+			x: Math.floor(this._x),
+			y: Math.floor(this._y),
+			color: this.customColor,
+			width: this._width,
+			height: this._height,
+			fontSize: this._fontSize,
+			entryVisible: this.entry_is_visible,
+			isBold: this._isBold,
+			markdown: this._markdown,
+			type: this._type,
+			items: this._type === 'checklist' ? this._checklist.getItems() : [],
+			reminder: this._reminder,
+			monitor: this._monitorConnector,
+			refWidth: this._refWidth,
+			refHeight: this._refHeight,
+			workspace: this._workspaceObject ? this._workspaceObject.index() : this._workspace,
+			layer: this._layer,
+			title: this._title
+		};
 	}
 
 	fixState() {
-		let outX = (this._x < 0 || this._x > Main.layoutManager.primaryMonitor.width - 20);
-		let outY = (this._y < 0 || this._y > Main.layoutManager.primaryMonitor.height - 20);
+		const monitor = this._getMonitor();
+		let outX = (this._x < 0 || this._x > monitor.width - 20);
+		let outY = (this._y < 0 || this._y > monitor.height - 20);
 		if (outX || outY) {
 			[this._x, this._y] = this._computeRandomPosition();
 			this._setNotePosition();
@@ -317,16 +425,16 @@ export const NoteBox = GObject.registerClass({
 		if (Number.isNaN(this.width)) { this.width = 250; }
 		if (Number.isNaN(this.height)) { this.height = 200; }
 		if (Number.isNaN(this._fontSize)) { this._fontSize = 10; }
-		this._saveState();
+		this.onlySave();
 	}
 
 	_applyActorStyle() {
 		let is_hovered = this.hover;
 		let temp;
 		if (is_hovered) {
-			temp = 'background-color: rgba(' + this.customColor + ', 0.8);';
+			temp = 'background-color: rgba(' + this.customColor + ', ' + this._settings.get_double('hover-opacity') + ');';
 		} else {
-			temp = 'background-color: rgba(' + this.customColor + ', 0.6);';
+			temp = 'background-color: rgba(' + this.customColor + ', ' + this._settings.get_double('opacity') + ');';
 		}
 		if(this._fontColor != '') {
 			temp += 'color: ' + this._fontColor + ';';
@@ -339,7 +447,7 @@ export const NoteBox = GObject.registerClass({
 	}
 
 	_applyNoteStyle() {
-		let temp = 'background-color: rgba(' + this.customColor + ', 0.8);';
+		let temp = 'background-color: rgba(' + this.customColor + ', ' + this._settings.get_double('hover-opacity') + ');';
 		if(this._fontColor != '') {
 			temp += 'color: ' + this._fontColor + ';';
 		}
@@ -349,23 +457,415 @@ export const NoteBox = GObject.registerClass({
 		if(this._isBold) {
 			temp += 'font-weight: bold;';
 		}
-		// Add default font family
-		temp += 'font-family: Cantarell, sans-serif;';
+		// Add the configured font family
+		temp += 'font-family: "' + this._settings.get_string('font-family') + '", sans-serif;';
 		this.noteEntry.style = temp;
+		this._checklist.setTextStyle(temp);
 		// Also apply to the entry box to ensure consistent color
 		this._entryBox.style = temp;
 	}
 
+	applySettings() {
+		this._applyNoteStyle();
+		this._applyActorStyle();
+	}
+
+	getText() {
+		if (this._type === 'checklist') {
+			return Checklist.formatChecklist(this._checklist.getItems());
+		}
+		if (this._rendered) {
+			return this._rawText;
+		}
+		return this.noteEntry.get_text() || '';
+	}
+
+	setText(text) {
+		if (this._type === 'checklist') {
+			this._leaveKeyFocus();
+			this._checklist.setItems(Checklist.parseChecklist(text));
+			this._updateCounter();
+			return;
+		}
+		this._showRawText();
+		this.noteEntry.set_text(text);
+		if (this.noteEntry.get_clutter_text() !== global.stage.get_key_focus()) {
+			this._renderMarkdown();
+		}
+	}
+
+	get markdown() {
+		return this._markdown;
+	}
+
+	setMarkdown(enabled) {
+		this._markdown = enabled;
+		if (enabled) {
+			this._renderMarkdown();
+		} else {
+			this._showRawText();
+		}
+		this.onlySave();
+	}
+
+	get type() {
+		return this._type;
+	}
+
+	setType(type) {
+		if (type === this._type) {
+			return;
+		}
+		// Convert through the text, which holds checklists as Markdown task lines
+		const text = this.getText();
+		this._leaveKeyFocus();
+		this._showRawText();
+		this._type = type;
+		if (type === 'checklist') {
+			this._checklist.setItems(Checklist.parseChecklist(text));
+		} else {
+			this.noteEntry.set_text(text);
+			this._checklist.setItems([]);
+		}
+		this._applyType();
+		this._renderMarkdown();
+		this.onlySave();
+	}
+
+	get reminder() {
+		return this._reminder;
+	}
+
+	setReminder(reminder) {
+		this._reminder = reminder;
+		this.onlySave();
+		this._manager.reminders?.update();
+	}
+
+	editReminder() {
+		Dialog.showReminder(this._reminder, reminder => this.setReminder(reminder));
+	}
+
+	clearCompleted() {
+		this._leaveKeyFocus();
+		this._checklist.clearCompleted();
+	}
+
+	_applyType() {
+		const isChecklist = this._type === 'checklist';
+		this.noteEntry.visible = !isChecklist;
+		this._checklist.visible = isChecklist;
+		this._counterLabel.visible = isChecklist;
+		this._updateCounter();
+	}
+
+	_updateCounter() {
+		const { done, total } = this._checklist.getCounts();
+		this._counterLabel.text = `${done}/${total} done`;
+	}
+
+	_renderMarkdown() {
+		if (!this._markdown || this._rendered || this._type !== 'text') {
+			return;
+		}
+		const clutterText = this.noteEntry.get_clutter_text();
+		this._rawText = this.noteEntry.get_text() || '';
+		this._rendered = true;
+		clutterText.set_editable(false);
+		clutterText.set_use_markup(true);
+		clutterText.set_markup(Markdown.toPangoMarkup(this._rawText));
+	}
+
+	_showRawText() {
+		if (!this._rendered) {
+			return;
+		}
+		const clutterText = this.noteEntry.get_clutter_text();
+		clutterText.set_use_markup(false);
+		clutterText.set_text(this._rawText);
+		clutterText.set_editable(true);
+		this._rendered = false;
+	}
+
+	focus() {
+		if (!this.entry_is_visible) {
+			this._entryBox.visible = true;
+			this.entry_is_visible = true;
+			this._updateTitleLabel();
+		}
+		this._getKeyFocus();
+	}
+
+	get title() {
+		return this._title;
+	}
+
+	setTitle(title) {
+		this._title = title;
+		this._updateTitleLabel();
+		this.onlySave();
+	}
+
+	editTitle() {
+		Dialog.showPrompt("Note title", "Leave empty for a note without a title.", this._title, text => {
+			this.setTitle(text.trim());
+		});
+	}
+
+	getLabel(length = 40) {
+		return NoteStore.describe({ title: this._title, text: this.getText() }, length);
+	}
+
+	_updateTitleLabel() {
+		// A collapsed note shows the beginning of its text if it has no title
+		this._titleLabel.text = this.entry_is_visible ? this._title : this.getLabel();
+	}
+
+	highlightMatch(start, end) {
+		// ClutterText counts characters, not UTF-16 code units
+		const text = this.getText();
+		if (this._type === 'checklist') {
+			// Each line of the text is one item, behind its `- [ ] ` prefix
+			const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+			const index = text.slice(0, lineStart).split('\n').length - 1;
+			const offset = lineStart + '- [ ] '.length;
+			this._checklist.focusItem(index);
+			const entryText = this._grabbedActor?.get_clutter_text();
+			entryText?.set_selection(
+				[...text.slice(offset, Math.max(offset, start))].length,
+				[...text.slice(offset, Math.max(offset, end))].length);
+			return;
+		}
+		const startChar = [...text.slice(0, start)].length;
+		const endChar = startChar + [...text.slice(start, end)].length;
+
+		const clutterText = this.noteEntry.get_clutter_text();
+		clutterText.set_selection(startChar, endChar);
+
+		// Scroll so the match is in the upper third of the note
+		const [found, , y] = clutterText.position_to_coords(startChar);
+		const adjustment = this._scrollView.vadjustment ?? this._scrollView.vscroll.adjustment;
+		if (found && adjustment) {
+			const target = y - adjustment.page_size / 3;
+			adjustment.value = Math.max(adjustment.lower, Math.min(target, adjustment.upper - adjustment.page_size));
+		}
+	}
+
+	placeAt(stageX, stageY) {
+		this._assignMonitor(this._manager.monitors.getIndexAt(stageX, stageY), stageX, stageY);
+		this.onlySave();
+	}
+
+	get workspace() {
+		return this._workspace;
+	}
+
+	setWorkspace(workspace) {
+		if (workspace === 'all') {
+			this._workspace = 'all';
+			this._workspaceObject = null;
+		} else {
+			this._workspaceObject = global.workspace_manager.get_active_workspace();
+			this._workspace = this._workspaceObject.index();
+		}
+		this.onlySave();
+	}
+
+	isOnActiveWorkspace() {
+		if (this._workspace === 'all') {
+			return true;
+		}
+		const active = global.workspace_manager.get_active_workspace();
+		if (this._workspaceObject) {
+			return this._workspaceObject === active;
+		}
+		return active.index() === this._workspace;
+	}
+
+	activateWorkspace() {
+		if (this.isOnActiveWorkspace()) {
+			return;
+		}
+		if (this._workspaceObject) {
+			this._workspaceObject.activate(global.get_current_time());
+		} else {
+			// The note's workspace doesn't exist at the moment, bring the note here
+			this.setWorkspace('current');
+		}
+	}
+
+	syncWorkspace() {
+		if (this._workspace === 'all') {
+			return;
+		}
+		const workspaceManager = global.workspace_manager;
+		const oldWorkspace = this._workspace;
+		if (this._workspaceObject && !workspaceManager.get_workspaces().includes(this._workspaceObject)) {
+			// The workspace was removed, the next one took its place
+			this._workspaceObject = null;
+			this._workspace = Math.min(this._workspace, workspaceManager.n_workspaces - 1);
+		}
+
+		// Follow the workspace when workspaces before it are added or removed
+		if (this._workspaceObject) {
+			this._workspace = this._workspaceObject.index();
+		} else if (this._workspace < workspaceManager.n_workspaces) {
+			this._workspaceObject = workspaceManager.get_workspace_by_index(this._workspace);
+		}
+		if (this._workspace !== oldWorkspace) {
+			this.onlySave();
+		}
+	}
+
+	get layer() {
+		return this._layer;
+	}
+
+	setLayer(layer) {
+		if (layer === this._layer) {
+			return;
+		}
+		const inLayer = this.get_parent() !== null;
+		this.removeFromCorrectLayer();
+		this._layer = layer;
+		if (inLayer) {
+			this.loadIntoCorrectLayer();
+		}
+		this.onlySave();
+	}
+
+	reposition() {
+		this._setNotePosition();
+	}
+
+	getMonitorIndex() {
+		return this._getMonitor().index;
+	}
+
+	getPlacement() {
+		return [this._monitorConnector, this._x, this._y, this._refWidth, this._refHeight];
+	}
+
+	restorePlacement(placement) {
+		const [fromX, fromY] = this.get_position();
+		[this._monitorConnector, this._x, this._y, this._refWidth, this._refHeight] = placement;
+		this._setNotePosition();
+		this._easeFrom(fromX, fromY);
+		this.onlySave();
+	}
+
+	arrangeTo(index, stageX, stageY) {
+		const [fromX, fromY] = this.get_position();
+		this._assignMonitor(index, stageX, stageY);
+		this._easeFrom(fromX, fromY);
+		this.onlySave();
+	}
+
+	_easeFrom(fromX, fromY) {
+		// Animate from the old position to the one just set
+		this.remove_all_transitions();
+		const [toX, toY] = this.get_position();
+		this.set_position(fromX, fromY);
+		this.ease({
+			x: toX,
+			y: toY,
+			duration: ARRANGE_DURATION,
+			mode: Clutter.AnimationMode.EASE_OUT_QUAD,
+		});
+	}
+
+	_getMonitor() {
+		return this._manager.monitors.getMonitor(this._monitorConnector) ?? Main.layoutManager.primaryMonitor;
+	}
+
+	_assignMonitor(index, stageX, stageY) {
+		// Without a known connector the note stays on the primary monitor
+		const connector = this._manager.monitors.getConnector(index);
+		if (connector === null) {
+			index = Main.layoutManager.primaryIndex;
+		}
+		const monitor = Main.layoutManager.monitors[index];
+		this._monitorConnector = connector;
+		this._refWidth = monitor.width;
+		this._refHeight = monitor.height;
+		this._x = stageX - monitor.x;
+		this._y = stageY - monitor.y;
+		[this._x, this._y] = this._displayPosition(monitor);
+		this._setNotePosition();
+	}
+
+	_beginInteraction() {
+		// Work with the position on screen, but keep the saved placement
+		// in case the note isn't actually moved or resized
+		this._savedPlacement = this.getPlacement();
+		this._placementChanged = false;
+		this._adoptDisplayedPosition();
+	}
+
+	_endInteraction() {
+		if (this._placementChanged) {
+			this._adoptDisplayedPosition();
+		} else if (this._savedPlacement) {
+			[this._monitorConnector, this._x, this._y, this._refWidth, this._refHeight] = this._savedPlacement;
+			this._setNotePosition();
+		}
+		this._savedPlacement = null;
+	}
+
+	_adoptDisplayedPosition() {
+		// Make the position on screen the saved one, on the monitor showing the note's center
+		const [stageX, stageY] = this.get_transformed_position();
+		const index = this._manager.monitors.getIndexAt(
+			stageX + this._width / 2, stageY + this._height / 2);
+		this._assignMonitor(index, stageX, stageY);
+	}
+
+	_displayPosition(monitor) {
+		// Scale the saved position to the current size of the monitor,
+		// so the notes keep their layout when the resolution changes
+		let x = this._x;
+		let y = this._y;
+		if (this._refWidth && this._refHeight) {
+			x = x * monitor.width / this._refWidth;
+			y = y * monitor.height / this._refHeight;
+		}
+
+		// Keep the note inside the work area
+		const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
+		const left = workArea.x - monitor.x;
+		const top = workArea.y - monitor.y;
+		x = Math.max(left, Math.min(x, left + workArea.width - this._width));
+		y = Math.max(top, Math.min(y, top + workArea.height - this._height));
+		return [x, y];
+	}
+
 	_getKeyFocus() {
-		if (this.entry_is_visible) {
-			this._grabHelper.grab({ actor: this.noteEntry });
-			this.noteEntry.grab_key_focus();
+		this._showRawText();
+		if (this._type === 'checklist') {
+			this._checklist.focusItem(0);
+		} else {
+			this._grabKeyFocus(this.noteEntry);
+		}
+	}
+
+	_grabKeyFocus(actor) {
+		this._manager.noteFocused(this);
+		if (actor !== this._grabbedActor) {
+			this._leaveKeyFocus();
+		}
+		if (actor && this.entry_is_visible) {
+			this._grabHelper.grab({ actor });
+			this._grabbedActor = actor;
+			actor.grab_key_focus();
 		}
 		this._redraw();
 	}
 
 	_leaveKeyFocus() {
-		this._grabHelper.ungrab({ actor: this.noteEntry });
+		if (this._grabbedActor) {
+			this._grabHelper.ungrab({ actor: this._grabbedActor });
+			this._grabbedActor = null;
+		}
 	}
 
 	_redraw() {
@@ -377,9 +877,9 @@ export const NoteBox = GObject.registerClass({
 	}
 
 	_setNotePosition() {
-		let monitor = Main.layoutManager.primaryMonitor;
+		let monitor = this._getMonitor();
 		if (!monitor) {
-			log('Notes Extension: No primary monitor found, cannot set position');
+			log('Notes Extension: No monitor found, cannot set position');
 			return;
 		}
 
@@ -396,37 +896,55 @@ export const NoteBox = GObject.registerClass({
 			[this._x, this._y] = this._computeRandomPosition();
 		}
 
-		// Ensure position is within monitor bounds
-		const oldX = this._x;
-		const oldY = this._y;
-		
-		this._x = Math.max(0, Math.min(this._x, monitor.width - this._width));
-		this._y = Math.max(0, Math.min(this._y, monitor.height - this._height));
-		
-		// Log if position was adjusted
-		if (oldX !== this._x || oldY !== this._y) {
-			log(`Notes Extension: Adjusted position from (${oldX}, ${oldY}) to (${this._x}, ${this._y})`);
+		// Notes placed before their reference size was saved keep their position
+		if (!this._refWidth || !this._refHeight) {
+			this._refWidth = monitor.width;
+			this._refHeight = monitor.height;
 		}
 
+		// The saved position is only adapted for display, so the exact position
+		// comes back with the original monitor geometry. While dragging the note
+		// follows the pointer freely, so it can be moved to another monitor.
+		const [x, y] = this._isMoving ? [this._x, this._y] : this._displayPosition(monitor);
+
 		// Set position
 		this.set_position(
-			monitor.x + Math.floor(this._x),
-			monitor.y + Math.floor(this._y)
+			monitor.x + Math.floor(x),
+			monitor.y + Math.floor(y)
 		);
 	}
 
 	_onMovePress(actor, event) {
 		let mouseButton = event.get_button();
+		if (mouseButton == 1 && event.get_click_count() === 2) {
+			this.editTitle();
+			return;
+		}
 		if (mouseButton == 3) {
 			this._entryBox.visible = !this._entryBox.visible;
 			this.entry_is_visible = this._entryBox.visible;
+			this._updateTitleLabel();
+		}
+		// Every press starts an interaction, so _endInteraction() never
+		// sees a stale drag. Only the left button drags the note; other
+		// presses end their interaction right away.
+		this._beginInteraction();
+		if (mouseButton != 1) {
+			this._endInteraction();
+			this._redraw();
+			return;
 		}
 		this._onPressCommon(event);
+		// Dragging works on the unsnapped position, snapping only changes what is shown
+		this._dragX = this._x;
+		this._dragY = this._y;
+		this._snapDisabled = false;
 		this._isMoving = true;
 		this._isResizing = false;
 	}
 
 	_onResizePress(actor, event) {
+		this._beginInteraction();
 		this._onPressCommon(event);
 		this._isResizing = true;
 		this._isMoving = false;
@@ -461,6 +979,7 @@ export const NoteBox = GObject.registerClass({
 		// Apply to actor
 		this.set_size(this._width, this._height);
 		this._y = newY;
+		this._placementChanged = true;
 		this._setNotePosition();
 
 		this.grabX = event_x;
@@ -471,15 +990,39 @@ export const NoteBox = GObject.registerClass({
 		if (!this._isMoving) { return; }
 		let x = Math.floor(event.get_coords()[0]);
 		let y = Math.floor(event.get_coords()[1]);
+		// Holding Shift turns snapping off for the rest of the drag
+		if (event.get_state() & Clutter.ModifierType.SHIFT_MASK) {
+			this._snapDisabled = true;
+		}
 		this._moveTo(x, y);
 	}
 
 	_moveTo(event_x, event_y) {
-		let newX = event_x - (this.grabX - this._x);
-		let newY = event_y - (this.grabY - this._y);
+		this._dragX += event_x - this.grabX;
+		this._dragY += event_y - this.grabY;
+		let newX = this._dragX;
+		let newY = this._dragY;
+
+		const snapping = this._snapDisabled ? null : this._manager.getSnapOptions();
+		if (snapping) {
+			// Snap in stage coordinates, the note may be dragged to another monitor
+			const monitor = this._getMonitor();
+			const snapped = Snapping.snapPosition({
+				x: monitor.x + newX,
+				y: monitor.y + newY,
+				width: this._width,
+				height: this._height,
+			}, this._manager.getNoteRects(this), snapping);
+			newX = snapped.x - monitor.x;
+			newY = snapped.y - monitor.y;
+			this._manager.snapGuides.show(snapped.guides);
+		} else {
+			this._manager.snapGuides.hide();
+		}
 
 		this._y = Math.floor(newY);
 		this._x = Math.floor(newX);
+		this._placementChanged = true;
 		this._setNotePosition();
 
 		this.grabX = event_x;
@@ -487,11 +1030,14 @@ export const NoteBox = GObject.registerClass({
 	}
 
 	_onRelease(actor, event) {
-		this._isResizing = false;
-		this._isMoving = false;
+		if (this._isMoving || this._isResizing) {
+			this._manager.snapGuides.hide();
+			this._isMoving = false;
+			this._isResizing = false;
+			this._endInteraction();
+		}
 		// Save state when releasing to ensure position/size is saved
-		this._saveState();
-		this._saveText();
+		this.onlySave();
 	}
 
 	changeFontSize(delta) {
@@ -505,7 +1051,7 @@ export const NoteBox = GObject.registerClass({
 	applyColorAndSave(r, g, b) {
 		this._applyColor(r, g, b);
 		// Explicitly save state after color change
-		this._saveState();
+		this.onlySave();
 	}
 
 	_createNote() {
@@ -527,46 +1073,15 @@ export const NoteBox = GObject.registerClass({
 		}
 		this._applyNoteStyle();
 		this._applyActorStyle();
-		this._saveState(); // Save state immediately when color changes
-	}
-
-	_loadText() {
-		const filePath = GLib.build_filenamev([PATH, this.id.toString() + '_text']);
-		if (!GLib.file_test(filePath, GLib.FileTest.EXISTS)) {
-			GLib.file_set_contents(filePath, '');
-		}
-
-		try {
-			const [success, contents] = GLib.file_get_contents(filePath);
-			if (!success) {
-				log('Could not read file: ' + filePath);
-				return;
-			}
-			const content = stringFromArray(contents);
-			this.noteEntry.set_text(content);
-		} catch (e) {
-			log(`Notes Extension: Error loading text file: ${e}`);
-		}
-	}
-
-	_saveText() {
-		try {
-			let noteText = this.noteEntry.get_text() || '';
-			let file = GLib.build_filenamev([PATH, `${this.id}_text`]);
-			if (!GLib.file_set_contents(file, noteText)) {
-				log(`Notes Extension: Failed to save text to ${file}`);
-			}
-		} catch (e) {
-			log(`Notes Extension: Error saving text file: ${e}`);
-		}
 	}
 
 	_computeRandomPosition() {
 		let x;
 		let y;
+		const monitor = this._getMonitor();
 		for(let i = 0; i < 15; i++) {
-			x = Math.random() * (Main.layoutManager.primaryMonitor.width - 300);
-			y = Math.random() * (Main.layoutManager.primaryMonitor.height - 100);
+			x = Math.random() * (monitor.width - 300);
+			y = Math.random() * (monitor.height - 100);
 
 			if (this._manager.areCoordsUsable(x, y)) {
 				return [x, y];
@@ -575,172 +1090,83 @@ export const NoteBox = GObject.registerClass({
 		return [x, y];
 	}
 
-	_createDefaultState(filePath) {
-		try {
-			const defaultPosition = this._computeRandomPosition();
-			const defaultState = {
-				x: defaultPosition[0],
-				y: defaultPosition[1],
-				color: this.customColor,
-				width: 250,
-				height: 180,
-				fontSize: this._fontSize,
-				entryVisible: true,
-				isBold: false
-			};
-
-			const stateFile = Gio.File.new_for_path(filePath);
-			const stateStream = stateFile.replace(null, false, Gio.FileCreateFlags.NONE, null);
-			const stateWriter = new Gio.DataOutputStream({
-				base_stream: stateStream,
-				close_base_stream: true
-			});
-			
-			stateWriter.put_string(JSON.stringify(defaultState), null);
-			stateWriter.close(null);
-			
-			return defaultState;
-		} catch (e) {
-			log(`Notes Extension: Error creating default state: ${e}`);
-			return null;
-		}
-	}
-
 	_loadState() {
-		const stateFilePath = GLib.build_filenamev([PATH, `${this.id}_state`]);
-		if (!GLib.file_test(stateFilePath, GLib.FileTest.EXISTS)) {
-			// If no state file exists, create default state and apply initial style
-			this._createDefaultState(stateFilePath);
+		const record = this._manager.store.load(this.id);
+		if (!record) {
+			// New note: apply the initial style and store it right away
+			this.set_size(this._width, this._height);
+			this._setNotePosition();
 			this._initStyle();
+			this.onlySave();
 			return;
 		}
+		this._applyRecord(record);
+	}
 
-		try {
-			const stateFile = Gio.File.new_for_path(stateFilePath);
-			const [success, contents] = stateFile.load_contents(null);
-			
-			if (!success) {
-				log(`Notes Extension: Could not read state file: ${stateFilePath}`);
-				this._createDefaultState(stateFilePath);
-				this._initStyle();
-				return;
-			}
-
-			const stateData = JSON.parse(contents.toString());
-			
-			// Apply color first
-			if (stateData.color) {
-				this.customColor = stateData.color;
-			}
-			
-			// Apply other state values
-			this._width = Math.max(Number(stateData.width) || 250, MIN_WIDTH);
-			this._height = Math.max(Number(stateData.height) || 180, MIN_HEIGHT);
-			this._fontSize = Number(stateData.fontSize) || 12;
-			this._x = Number(stateData.x);
-			this._y = Number(stateData.y);
-			this.entry_is_visible = stateData.entryVisible !== false;
-			this._isBold = stateData.isBold || false;
-
-			// Ensure position values are valid
-			if (isNaN(this._x) || isNaN(this._y)) {
-				log(`Notes Extension: Invalid position values in state file, using random position`);
-				[this._x, this._y] = this._computeRandomPosition();
-			}
-			
-			// Apply dimensions to actor
-			this.set_size(this._width, this._height);
-			
-			// Apply position immediately
-			this._setNotePosition();
-			
-			// Apply style after loading state
-			this._initStyle();
-			
-			// Log state for debugging
-			log(`Notes Extension: Loaded note ${this.id} at position (${this._x}, ${this._y}) with color ${this.customColor}`);
-		} catch (e) {
-			log(`Notes Extension: Error loading state file: ${e}`);
-			// Set default values
+	_applyRecord(record) {
+		this.customColor = record.color;
+		this._width = Math.max(record.width, MIN_WIDTH);
+		this._height = Math.max(record.height, MIN_HEIGHT);
+		this._fontSize = record.fontSize;
+		this.entry_is_visible = record.entryVisible;
+		this._entryBox.visible = this.entry_is_visible;
+		this._isBold = record.isBold;
+		this._markdown = record.markdown;
+		this._type = record.type;
+		this._reminder = record.reminder;
+		this._monitorConnector = record.monitor;
+		this._refWidth = record.refWidth;
+		this._refHeight = record.refHeight;
+		this._workspace = record.workspace;
+		this._layer = LAYERS.includes(record.layer) ? record.layer : 'desktop';
+		this._title = record.title;
+		this.syncWorkspace();
+
+		if (record.x === null || record.y === null) {
 			[this._x, this._y] = this._computeRandomPosition();
-			this._width = 250;
-			this._height = 180;
-			this.entry_is_visible = true;
-			this._isBold = false;
-			
-			// Apply default dimensions to actor
-			this.set_size(this._width, this._height);
-			
-			// Apply position immediately
-			this._setNotePosition();
-			
-			// Apply default style
-			this._initStyle();
+		} else {
+			this._x = record.x;
+			this._y = record.y;
+		}
+
+		if (this._type === 'checklist') {
+			this._checklist.setItems(record.items);
+		} else {
+			this.noteEntry.set_text(record.text);
 		}
+		this._applyType();
+		this._updateTitleLabel();
+		this._manager.history.seed(this.id, this.getText());
+
+		// Apply dimensions and position to actor
+		this.set_size(this._width, this._height);
+		this._setNotePosition();
+
+		// Apply style after loading state
+		this._initStyle();
 	}
 
-	_saveState() {
-		try {
-			// Ensure position values are valid before saving
-			if (isNaN(this._x) || isNaN(this._y)) {
-				log(`Notes Extension: Invalid position values, fixing before saving`);
-				[this._x, this._y] = this._computeRandomPosition();
-				this._setNotePosition();
-			}
-			
-			// Save state data in JSON format
-			const stateData = {
-				x: Math.floor(this._x),
-				y: Math.floor(this._y),
-				color: this.customColor,
-				width: this._width,
-				height: this._height,
-				fontSize: this._fontSize,
-				entryVisible: this.entry_is_visible,
-				isBold: this._isBold
-			};
-
-			const stateFilePath = GLib.build_filenamev([PATH, `${this.id}_state`]);
-			const stateFile = Gio.File.new_for_path(stateFilePath);
-			const stateStream = stateFile.replace(null, false, Gio.FileCreateFlags.NONE, null);
-			const stateWriter = new Gio.DataOutputStream({
-				base_stream: stateStream,
-				close_base_stream: true
-			});
-			
-			stateWriter.put_string(JSON.stringify(stateData), null);
-			stateWriter.close(null);
-			
-			log(`Notes Extension: Saved note ${this.id} at position (${this._x}, ${this._y}) with color ${this.customColor}`);
-		} catch (e) {
-			log(`Notes Extension: Error saving state file: ${e}`);
+	applyDocument(document) {
+		// Take over a document changed outside of the note
+		this._leaveKeyFocus();
+		this._showRawText();
+		const inLayer = this.get_parent() !== null;
+		const layerChanged = document.layer !== this._layer;
+		if (inLayer && layerChanged) {
+			this.removeFromCorrectLayer();
+		}
+		this._applyRecord(document);
+		if (inLayer && layerChanged) {
+			this.loadIntoCorrectLayer();
 		}
+		this._renderMarkdown();
 	}
 
 	_deleteNoteObject() {
 		try {
-			// Remove from array
-			if (this._manager && this._manager._allNotes) {
-				const index = this._manager._allNotes.indexOf(this);
-				if (index > -1) {
-					this._manager._allNotes.splice(index, 1);
-				}
-			}
-			
-			// Delete the files
-			const textFilePath = GLib.build_filenamev([PATH, `${this.id}_text`]);
-			const stateFilePath = GLib.build_filenamev([PATH, `${this.id}_state`]);
-			
-			// Delete text file if it exists
-			if (GLib.file_test(textFilePath, GLib.FileTest.EXISTS)) {
-				const textFile = Gio.File.new_for_path(textFilePath);
-				textFile.delete(null);
-			}
-			
-			// Delete state file if it exists
-			if (GLib.file_test(stateFilePath, GLib.FileTest.EXISTS)) {
-				const stateFile = Gio.File.new_for_path(stateFilePath);
-				stateFile.delete(null);
+			// Forget the note and delete its files
+			if (this._manager) {
+				this._manager.postDelete(this.id);
 			}
 			
 			// Destroy the note
@@ -797,10 +1223,22 @@ export const NoteBox = GObject.registerClass({
 		}
 	}
 
+	showHistory() {
+		const revisions = this._manager.history.list(this.id);
+		Dialog.showHistory(revisions, text => {
+			this.setText(text);
+			this.onlySave();
+		});
+	}
+
+	exportTo(format) {
+		this._manager.exportNotes([this], format);
+	}
+
 	toggleBold() {
 		this._isBold = !this._isBold;
 		this._applyNoteStyle();
-		this._saveState();
+		this.onlySave();
 	}
 });
 
@@ -0,0 +1,940 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file owns all persistence of notes.
+ *            Every note is stored as one versioned JSON document named `<id>.json`
+ *            in the notes data directory. Older documents are upgraded step by step
+ *            through the migrations below when they are loaded.
+ *            Saves are atomic and keep the previous good copy as `<id>.json.bak`.
+ *            Files that can't be read are moved to the `quarantine` folder, never deleted.
+ *            Deleted notes are kept in the `trash` folder until they are restored or purged.
+ *            Earlier versions of each note's text are kept in the `history` folder.
+ *            Checklist notes store their items and also their text as Markdown
+ *            task lines, so search and history work the same for both types.
+ *            The directory can be watched for notes changed by other programs.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+// Import our own modules
+import * as Reminders from './reminders.js';
+
+Gio._promisify(Gio.File.prototype, 'load_contents_async');
+Gio._promisify(Gio.File.prototype, 'replace_contents_bytes_async', 'replace_contents_finish');
+
+/**
+ * Delay in milliseconds before changes of the data directory are reported,
+ * so a burst of file events is reported once
+ */
+const WATCH_DELAY = 300;
+
+/**
+ * Default path to store notes data
+ */
+export const DEFAULT_PATH = GLib.build_filenamev([GLib.get_user_data_dir(), 'notes_data']);
+
+/**
+ * Current version of the note document schema
+ *
+ * Bump it together with a new entry in MIGRATIONS whenever
+ * a field is added, renamed or changes meaning.
+ */
+export const SCHEMA_VERSION = 9;
+
+/**
+ * Values used for fields missing from a document
+ *
+ * A `null` position means that the note picks a free random position.
+ * The position is relative to the monitor with the connector `monitor`,
+ * or to the primary monitor if `monitor` is `null`. `refWidth` and `refHeight`
+ * are the size of that monitor when the position was set; on a monitor of
+ * another size the position is scaled. `null` means the current size.
+ * `workspace` is `'all'` or the index of the only workspace showing the note.
+ * `layer` is `'desktop'`, `'normal'` (above windows) or `'top'` (above everything).
+ */
+const DEFAULTS = {
+	text: '',
+	x: null,
+	y: null,
+	width: 250,
+	height: 180,
+	color: '245,176,65',
+	fontSize: 16,
+	entryVisible: true,
+	isBold: false,
+	markdown: false,
+	type: 'text',
+	items: [],
+	reminder: null,
+	monitor: null,
+	refWidth: null,
+	refHeight: null,
+	workspace: 'all',
+	layer: 'desktop',
+	title: ''
+};
+
+/**
+ * Migration steps
+ *
+ * MIGRATIONS[n] upgrades a document from version n to version n + 1.
+ * Version 0 is the legacy `<id>_text` / `<id>_state` pair, merged into one object.
+ */
+const MIGRATIONS = [
+	// 0 -> 1: normalize the loosely typed legacy state
+	(document) => ({
+		...document,
+		x: Number.isFinite(Number(document.x)) ? Number(document.x) : null,
+		y: Number.isFinite(Number(document.y)) ? Number(document.y) : null,
+		width: Number(document.width) || DEFAULTS.width,
+		height: Number(document.height) || DEFAULTS.height,
+		fontSize: Number(document.fontSize) || DEFAULTS.fontSize,
+		entryVisible: document.entryVisible !== false,
+		isBold: Boolean(document.isBold),
+		text: typeof document.text === 'string' ? document.text : ''
+	}),
+	// 1 -> 2: add the Markdown rendering mode, off for existing notes
+	(document) => ({
+		...document,
+		markdown: Boolean(document.markdown)
+	}),
+	// 2 -> 3: add the note type, existing notes are text notes
+	(document) => ({
+		...document,
+		type: document.type === 'checklist' ? 'checklist' : 'text',
+		items: Array.isArray(document.items) ? document.items : []
+	}),
+	// 3 -> 4: add reminders, existing notes have none
+	(document) => ({
+		...document,
+		reminder: null
+	}),
+	// 4 -> 5: add the monitor, existing notes were placed on the primary monitor
+	(document) => ({
+		...document,
+		monitor: null
+	}),
+	// 5 -> 6: add the reference monitor size, taken from the monitor at the next load
+	(document) => ({
+		...document,
+		refWidth: null,
+		refHeight: null
+	}),
+	// 6 -> 7: add the workspace, existing notes show on all workspaces
+	(document) => ({
+		...document,
+		workspace: 'all'
+	}),
+	// 7 -> 8: add the stacking layer, existing notes stay on the desktop
+	(document) => ({
+		...document,
+		layer: 'desktop'
+	}),
+	// 8 -> 9: add the optional title
+	(document) => ({
+		...document,
+		title: ''
+	})
+];
+
+/**
+ * Upgrade a document to the current schema version
+ *
+ * @param {object} document - Parsed note document
+ * @returns {object} - The document at SCHEMA_VERSION with all defaults filled in
+ */
+export function migrate(document) {
+	let version = Number(document.version) || 0;
+	if (version > SCHEMA_VERSION) {
+		throw new Error(`Note ${document.id} has unsupported version ${version}`);
+	}
+
+	while (version < SCHEMA_VERSION) {
+		document = MIGRATIONS[version](document);
+		version++;
+	}
+
+	// Reminders edited by hand or by other programs would never fire
+	const reminder = Reminders.isValid(document.reminder) ? document.reminder : null;
+	return { ...DEFAULTS, ...document, reminder, version: SCHEMA_VERSION };
+}
+
+/**
+ * Decode file contents to a string
+ *
+ * @param {Uint8Array} data - Raw file contents
+ * @returns {string} - Decoded text
+ */
+function decode(data) {
+	return new TextDecoder().decode(data);
+}
+
+/**
+ * Compute the checksum of file contents
+ *
+ * @param {string} contents - File contents
+ * @returns {string}
+ */
+function checksum(contents) {
+	return GLib.compute_checksum_for_string(GLib.ChecksumType.SHA256, contents, -1);
+}
+
+/**
+ * Shorten a note text for messages
+ *
+ * @param {string} text - Note text
+ * @param {number} [length] - Maximum length
+ * @returns {string} - First line of the text, shortened
+ */
+export function snippet(text, length = 40) {
+	const firstLine = (text || '').trim().split('\n')[0];
+	return firstLine.length > length ? firstLine.slice(0, length - 1) + '…' : firstLine;
+}
+
+/**
+ * Describe a note in lists and messages
+ *
+ * @param {object} document - Note document, or any object with `title` and `text`
+ * @param {number} [length] - Maximum length
+ * @returns {string} - The title, or else the beginning of the text
+ */
+export function describe(document, length = 40) {
+	return document.title || snippet(document.text, length);
+}
+
+/**
+ * NoteStore class
+ *
+ * Reads and writes note documents in a directory. It depends on GLib and Gio only,
+ * so it can be used outside of GNOME Shell as well.
+ */
+export class NoteStore {
+	/**
+	 * Create a store for a directory
+	 *
+	 * @param {string} directory - Path of the notes data directory
+	 * @param {object} [options]
+	 * @param {Function} [options.onRecovery] - Called with a message whenever
+	 *   a note was restored from its backup or a file was quarantined
+	 */
+	constructor(directory = DEFAULT_PATH, { onRecovery = null } = {}) {
+		this._directory = directory;
+		this._onRecovery = onRecovery;
+
+		// IDs whose main file is known to hold a valid document
+		this._verified = new Set();
+
+		// ID -> checksum of the main file as this store last read or wrote it
+		this._checksums = new Map();
+
+		this._monitor = null;
+		this._watchTimeoutId = 0;
+		this._changedIds = new Set();
+	}
+
+	/**
+	 * Path of the notes data directory
+	 *
+	 * @returns {string}
+	 */
+	get directory() {
+		return this._directory;
+	}
+
+	/**
+	 * Create the notes data directory if it doesn't exist
+	 */
+	ensureDirectory() {
+		try {
+			if (!GLib.file_test(this._directory, GLib.FileTest.EXISTS)) {
+				GLib.mkdir_with_parents(this._directory, 0o755);
+			} else if (!GLib.file_test(this._directory, GLib.FileTest.IS_DIR)) {
+				log('Notes Extension: Path exists but is not a directory: ' + this._directory);
+			}
+		} catch (e) {
+			log('Notes Extension: Error creating directory: ' + e);
+		}
+	}
+
+	/**
+	 * Build the path of a file inside the data directory
+	 *
+	 * @param {...string} parts - Path components below the data directory
+	 * @returns {string} - Absolute path
+	 */
+	_path(...parts) {
+		return GLib.build_filenamev([this._directory, ...parts]);
+	}
+
+	/**
+	 * List the names of all files in a directory
+	 *
+	 * @param {string} directory - Directory path
+	 * @returns {string[]} - File names, or an empty array on error
+	 */
+	_listFiles(directory) {
+		const names = [];
+		try {
+			const enumerator = Gio.File.new_for_path(directory).enumerate_children(
+				'standard::name', Gio.FileQueryInfoFlags.NONE, null);
+			let info;
+			while ((info = enumerator.next_file(null)) !== null) {
+				names.push(info.get_name());
+			}
+			enumerator.close(null);
+		} catch (e) {
+			if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+				log(`Notes Extension: Error listing ${directory}: ${e}`);
+			}
+		}
+		return names;
+	}
+
+	/**
+	 * Read a text file if it exists
+	 *
+	 * @param {string} path - File path
+	 * @returns {string|null} - File contents, or null if the file doesn't exist
+	 */
+	_readFile(path) {
+		if (!GLib.file_test(path, GLib.FileTest.EXISTS)) {
+			return null;
+		}
+		const [success, contents] = GLib.file_get_contents(path);
+		return success ? decode(contents) : null;
+	}
+
+	/**
+	 * Find the IDs of all stored notes
+	 *
+	 * A note whose main file is missing but whose backup exists is listed too.
+	 *
+	 * @returns {string[]} - Sorted list of note IDs
+	 */
+	listIds() {
+		const ids = new Set();
+		for (const name of this._listFiles(this._directory)) {
+			const match = name.match(/^(.+)\.json(\.bak)?$/);
+			if (match) {
+				ids.add(match[1]);
+			}
+		}
+		return [...ids].sort();
+	}
+
+	/**
+	 * Read and migrate the document stored in a file
+	 *
+	 * @param {string} path - File path
+	 * @param {string} id - Note ID
+	 * @returns {object|null} - The migrated document, or null if the file doesn't exist
+	 * @throws if the file exists but can't be read or parsed
+	 */
+	_readDocument(path, id) {
+		const contents = this._readFile(path);
+		if (contents === null) {
+			return null;
+		}
+		return this._parseDocument(contents, id);
+	}
+
+	/**
+	 * Parse and migrate a document
+	 *
+	 * @param {string} contents - File contents
+	 * @param {string} id - Note ID
+	 * @returns {object} - The migrated document
+	 * @throws if the contents are not a valid note document
+	 */
+	_parseDocument(contents, id) {
+		const document = JSON.parse(contents);
+		if (document === null || typeof document !== 'object' || Array.isArray(document)) {
+			throw new Error('not a note document');
+		}
+		return migrate({ ...document, id });
+	}
+
+	/**
+	 * Load a note document
+	 *
+	 * Falls back to the backup when the main file is missing or corrupt.
+	 * A corrupt file is moved to quarantine.
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {object|null} - The migrated document, or null if it can't be loaded
+	 */
+	load(id) {
+		const mainPath = this._path(`${id}.json`);
+		const backupPath = this._path(`${id}.json.bak`);
+
+		let mainError = null;
+		try {
+			const contents = this._readFile(mainPath);
+			if (contents !== null) {
+				const document = this._parseDocument(contents, id);
+				this._verified.add(id);
+				this._checksums.set(id, checksum(contents));
+				return document;
+			}
+		} catch (e) {
+			mainError = e;
+			log(`Notes Extension: Note ${id} is corrupt: ${e}`);
+			this._quarantine(mainPath);
+		}
+
+		let backupError = null;
+		let backup = null;
+		try {
+			backup = this._readDocument(backupPath, id);
+		} catch (e) {
+			backupError = e;
+			log(`Notes Extension: Backup of note ${id} is corrupt: ${e}`);
+			this._quarantine(backupPath);
+		}
+
+		if (backup !== null) {
+			if (mainError) {
+				this._report(`A damaged note was restored from its last backup: "${describe(backup)}"`);
+			}
+			return backup;
+		}
+
+		if (mainError || backupError) {
+			this._report(`A note could not be read and was moved to ${this._path('quarantine')}`);
+		}
+		return null;
+	}
+
+	/**
+	 * Save a note document
+	 *
+	 * The previous version is kept as a backup if it is known to be valid.
+	 * The new file is written to a temporary file and renamed into place,
+	 * so the main file is never left half-written.
+	 *
+	 * @param {object} document - Note document, must have an `id`
+	 * @returns {boolean} - Whether the document was written
+	 */
+	save(document) {
+		const id = document.id;
+		const mainPath = this._path(`${id}.json`);
+		try {
+			this._rotateBackup(id);
+			const data = JSON.stringify({ ...document, version: SCHEMA_VERSION }, null, '\t');
+			GLib.file_set_contents_full(mainPath, data, GLib.FileSetContentsFlags.CONSISTENT, 0o644);
+			this._verified.add(id);
+			this._checksums.set(id, checksum(data));
+			return true;
+		} catch (e) {
+			log(`Notes Extension: Error saving note ${id}: ${e}`);
+			return false;
+		}
+	}
+
+	/**
+	 * Save a note document without blocking the main loop
+	 *
+	 * Works like save() but uses asynchronous Gio calls. Gio writes the new
+	 * contents to a temporary file and renames it into place when done.
+	 *
+	 * @param {object} document - Note document, must have an `id`
+	 * @param {Gio.Cancellable} [cancellable] - Cancels the write before it is renamed into place
+	 * @returns {Promise<boolean>} - Whether the document was written, false if the write was cancelled
+	 * @throws if the document can't be written
+	 */
+	async saveAsync(document, cancellable = null) {
+		const id = document.id;
+		const main = Gio.File.new_for_path(this._path(`${id}.json`));
+		try {
+			await this._rotateBackupAsync(id, main, cancellable);
+			const data = JSON.stringify({ ...document, version: SCHEMA_VERSION }, null, '\t');
+			await main.replace_contents_bytes_async(new GLib.Bytes(new TextEncoder().encode(data)),
+				null, false, Gio.FileCreateFlags.NONE, cancellable);
+			this._verified.add(id);
+			this._checksums.set(id, checksum(data));
+			return true;
+		} catch (e) {
+			if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+				return false;
+			}
+			throw e;
+		}
+	}
+
+	/**
+	 * Copy the current main file to the backup if it is valid
+	 *
+	 * A main file that fails to parse is quarantined instead, so it
+	 * never replaces a good backup.
+	 *
+	 * @param {string} id - Note ID
+	 */
+	_rotateBackup(id) {
+		const mainPath = this._path(`${id}.json`);
+		const main = Gio.File.new_for_path(mainPath);
+		if (!main.query_exists(null)) {
+			return;
+		}
+
+		if (!this._verified.has(id)) {
+			try {
+				this._readDocument(mainPath, id);
+			} catch (e) {
+				log(`Notes Extension: Note ${id} is corrupt, not using it as backup: ${e}`);
+				this._quarantine(mainPath);
+				return;
+			}
+		}
+
+		const backup = Gio.File.new_for_path(this._path(`${id}.json.bak`));
+		main.copy(backup, Gio.FileCopyFlags.OVERWRITE, null, null);
+	}
+
+	/**
+	 * Asynchronous version of _rotateBackup()
+	 *
+	 * @param {string} id - Note ID
+	 * @param {Gio.File} main - Main file of the note
+	 * @param {Gio.Cancellable} cancellable - Cancellable of the save
+	 */
+	async _rotateBackupAsync(id, main, cancellable) {
+		let contents;
+		try {
+			[contents] = await main.load_contents_async(cancellable);
+		} catch (e) {
+			if (e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+				return;
+			}
+			throw e;
+		}
+
+		if (!this._verified.has(id)) {
+			try {
+				this._parseDocument(decode(contents), id);
+			} catch (e) {
+				log(`Notes Extension: Note ${id} is corrupt, not using it as backup: ${e}`);
+				this._quarantine(main.get_path());
+				return;
+			}
+		}
+
+		const backup = Gio.File.new_for_path(this._path(`${id}.json.bak`));
+		await backup.replace_contents_bytes_async(new GLib.Bytes(contents),
+			null, false, Gio.FileCreateFlags.NONE, cancellable);
+	}
+
+	/**
+	 * Move an unreadable file to the quarantine folder
+	 *
+	 * @param {string} path - File path
+	 */
+	_quarantine(path) {
+		try {
+			const file = Gio.File.new_for_path(path);
+			if (!file.query_exists(null)) {
+				return;
+			}
+			const quarantineDirectory = this._path('quarantine');
+			GLib.mkdir_with_parents(quarantineDirectory, 0o755);
+			const stamp = GLib.DateTime.new_now_local().format('%Y%m%d-%H%M%S');
+			const target = Gio.File.new_for_path(GLib.build_filenamev([
+				quarantineDirectory, `${file.get_basename()}.${stamp}`
+			]));
+			file.move(target, Gio.FileCopyFlags.NONE, null, null);
+			log(`Notes Extension: Moved unreadable file to ${target.get_path()}`);
+		} catch (e) {
+			log(`Notes Extension: Error quarantining ${path}: ${e}`);
+		}
+	}
+
+	/**
+	 * Tell the owner of the store about a recovery
+	 *
+	 * @param {string} message - Message for the user
+	 */
+	_report(message) {
+		if (this._onRecovery) {
+			this._onRecovery(message);
+		}
+	}
+
+	/**
+	 * Delete a note document
+	 *
+	 * @param {string} id - Note ID
+	 */
+	remove(id) {
+		this._deleteFile(this._path(`${id}.json`));
+		this._deleteFile(this._path(`${id}.json.bak`));
+		this._verified.delete(id);
+		this._checksums.delete(id);
+	}
+
+	/**
+	 * Watch the data directory for notes changed by other programs
+	 *
+	 * Notes written, restored or removed by this store are not reported.
+	 *
+	 * @param {Function} onChange - Called with the note ID and the new document,
+	 *   or null if the note was deleted
+	 */
+	watch(onChange) {
+		this.unwatch();
+		try {
+			this._monitor = Gio.File.new_for_path(this._directory).monitor_directory(
+				Gio.FileMonitorFlags.WATCH_MOVES, null);
+		} catch (e) {
+			log(`Notes Extension: Error watching ${this._directory}: ${e}`);
+			return;
+		}
+		this._monitor.connect('changed', (monitor, file, otherFile) => {
+			// Renames report the new name as the other file
+			for (const changed of [file, otherFile]) {
+				const match = changed?.get_basename().match(/^(.+)\.json$/);
+				if (match) {
+					this._changedIds.add(match[1]);
+				}
+			}
+			if (this._changedIds.size > 0 && !this._watchTimeoutId) {
+				this._watchTimeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, WATCH_DELAY, () => {
+					this._watchTimeoutId = 0;
+					const ids = [...this._changedIds];
+					this._changedIds.clear();
+					for (const id of ids) {
+						const change = this._readChange(id);
+						if (change) {
+							onChange(id, change.document);
+						}
+					}
+					return GLib.SOURCE_REMOVE;
+				});
+			}
+		});
+	}
+
+	/**
+	 * Check whether the main file of a note was changed by another program
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {object|null} - `{ document }` with the new document, or with
+	 *   null if the file was deleted; null if there is no change to report
+	 */
+	_readChange(id) {
+		let contents;
+		let document = null;
+		try {
+			contents = this._readFile(this._path(`${id}.json`));
+			if (contents !== null) {
+				document = this._parseDocument(contents, id);
+			}
+		} catch (e) {
+			// A half-written file is reported once it is complete. Until
+			// then it must not replace the backup at the next save.
+			log(`Notes Extension: Changed note ${id} is not readable yet: ${e}`);
+			this._verified.delete(id);
+			return null;
+		}
+
+		const current = contents === null ? null : checksum(contents);
+		if (current === (this._checksums.get(id) ?? null)) {
+			return null;
+		}
+		if (current === null) {
+			this._checksums.delete(id);
+			this._verified.delete(id);
+		} else {
+			this._checksums.set(id, current);
+			this._verified.add(id);
+		}
+		return { document };
+	}
+
+	/**
+	 * Read the current main file of a note
+	 *
+	 * Unlike load(), this never falls back to the backup.
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {object|null} - The migrated document, or null if the file is missing or unreadable
+	 */
+	read(id) {
+		try {
+			const contents = this._readFile(this._path(`${id}.json`));
+			if (contents === null) {
+				return null;
+			}
+			const document = this._parseDocument(contents, id);
+			this._verified.add(id);
+			this._checksums.set(id, checksum(contents));
+			return document;
+		} catch (e) {
+			log(`Notes Extension: Note ${id} is not readable: ${e}`);
+			this._verified.delete(id);
+			return null;
+		}
+	}
+
+	/**
+	 * Stop watching the data directory
+	 */
+	unwatch() {
+		if (this._watchTimeoutId) {
+			GLib.source_remove(this._watchTimeoutId);
+			this._watchTimeoutId = 0;
+		}
+		this._changedIds.clear();
+		if (this._monitor) {
+			this._monitor.cancel();
+			this._monitor = null;
+		}
+	}
+
+	/**
+	 * Delete a file if it exists
+	 *
+	 * @param {string} path - File path
+	 */
+	_deleteFile(path) {
+		try {
+			const file = Gio.File.new_for_path(path);
+			if (file.query_exists(null)) {
+				file.delete(null);
+			}
+		} catch (e) {
+			log(`Notes Extension: Error deleting ${path}: ${e}`);
+		}
+	}
+
+	/**
+	 * Move a note to the trash
+	 *
+	 * The given document is written to the trash with the time of deletion,
+	 * then the note's files are removed.
+	 *
+	 * @param {object} document - Current document of the note
+	 * @returns {boolean} - Whether the note was moved to the trash
+	 */
+	trash(document) {
+		try {
+			const trashDirectory = this._path('trash');
+			GLib.mkdir_with_parents(trashDirectory, 0o755);
+			const data = JSON.stringify({ ...document, version: SCHEMA_VERSION, deletedAt: Date.now() }, null, '\t');
+			GLib.file_set_contents_full(GLib.build_filenamev([trashDirectory, `${document.id}.json`]),
+				data, GLib.FileSetContentsFlags.CONSISTENT, 0o644);
+		} catch (e) {
+			log(`Notes Extension: Error moving note ${document.id} to trash: ${e}`);
+			return false;
+		}
+		this.remove(document.id);
+		return true;
+	}
+
+	/**
+	 * List the notes in the trash
+	 *
+	 * @returns {object[]} - Trashed documents, most recently deleted first
+	 */
+	listTrash() {
+		const documents = [];
+		for (const name of this._listFiles(this._path('trash'))) {
+			const match = name.match(/^(.+)\.json$/);
+			if (!match) {
+				continue;
+			}
+			try {
+				const contents = this._readFile(this._path('trash', name));
+				const document = this._parseDocument(contents, match[1]);
+				documents.push({ ...document, deletedAt: Number(document.deletedAt) || 0 });
+			} catch (e) {
+				log(`Notes Extension: Error reading trashed note ${name}: ${e}`);
+			}
+		}
+		return documents.sort((a, b) => b.deletedAt - a.deletedAt);
+	}
+
+	/**
+	 * Restore a note from the trash
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {object|null} - The restored document, or null on error
+	 */
+	restore(id) {
+		const trashPath = this._path('trash', `${id}.json`);
+		let document;
+		try {
+			document = this._readDocument(trashPath, id);
+		} catch (e) {
+			log(`Notes Extension: Error reading trashed note ${id}: ${e}`);
+			return null;
+		}
+		if (document === null) {
+			return null;
+		}
+
+		delete document.deletedAt;
+		if (!this.save(document)) {
+			return null;
+		}
+		this._deleteFile(trashPath);
+		return document;
+	}
+
+	/**
+	 * Delete a note and its history from the trash for good
+	 *
+	 * @param {string} id - Note ID
+	 */
+	purge(id) {
+		this._deleteFile(this._path('trash', `${id}.json`));
+		this._deleteFile(this._path('history', `${id}.json`));
+	}
+
+	/**
+	 * Purge notes that have been in the trash for too long
+	 *
+	 * @param {number} maxAgeDays - Age in days after which notes are purged, 0 to keep them
+	 * @returns {number} - Number of purged notes
+	 */
+	emptyTrash(maxAgeDays) {
+		if (maxAgeDays <= 0) {
+			return 0;
+		}
+		const limit = Date.now() - maxAgeDays * 24 * 60 * 60 * 1000;
+		const expired = this.listTrash().filter(document => document.deletedAt < limit);
+		expired.forEach(document => this.purge(document.id));
+		return expired.length;
+	}
+
+	/**
+	 * Load the revision history of a note
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {object[]} - Revisions as `{ time, text }`, oldest first
+	 */
+	loadHistory(id) {
+		try {
+			const revisions = JSON.parse(this._readFile(this._path('history', `${id}.json`)) ?? '[]');
+			return Array.isArray(revisions) ? revisions.filter(r => typeof r?.text === 'string') : [];
+		} catch (e) {
+			log(`Notes Extension: Error reading history of note ${id}: ${e}`);
+			return [];
+		}
+	}
+
+	/**
+	 * Save the revision history of a note
+	 *
+	 * @param {string} id - Note ID
+	 * @param {object[]} revisions - Revisions as `{ time, text }`, oldest first
+	 * @returns {boolean} - Whether the history was written
+	 */
+	saveHistory(id, revisions) {
+		try {
+			const historyDirectory = this._path('history');
+			GLib.mkdir_with_parents(historyDirectory, 0o755);
+			GLib.file_set_contents_full(GLib.build_filenamev([historyDirectory, `${id}.json`]),
+				JSON.stringify(revisions), GLib.FileSetContentsFlags.CONSISTENT, 0o644);
+			return true;
+		} catch (e) {
+			log(`Notes Extension: Error saving history of note ${id}: ${e}`);
+			return false;
+		}
+	}
+
+	/**
+	 * Save the revision history of a note without blocking the main loop
+	 *
+	 * @param {string} id - Note ID
+	 * @param {object[]} revisions - Revisions as `{ time, text }`, oldest first
+	 * @param {Gio.Cancellable} [cancellable] - Cancels the write before it is renamed into place
+	 * @returns {Promise<boolean>} - Whether the history was written
+	 */
+	async saveHistoryAsync(id, revisions, cancellable = null) {
+		try {
+			const historyDirectory = this._path('history');
+			GLib.mkdir_with_parents(historyDirectory, 0o755);
+			const file = Gio.File.new_for_path(GLib.build_filenamev([historyDirectory, `${id}.json`]));
+			const data = new TextEncoder().encode(JSON.stringify(revisions));
+			await file.replace_contents_bytes_async(new GLib.Bytes(data),
+				null, false, Gio.FileCreateFlags.NONE, cancellable);
+			return true;
+		} catch (e) {
+			if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+				log(`Notes Extension: Error saving history of note ${id}: ${e}`);
+			}
+			return false;
+		}
+	}
+
+	/**
+	 * Import notes saved in the legacy two-file layout
+	 *
+	 * Older versions stored each note as `<id>_text` and `<id>_state`,
+	 * where `<id>` was first the array index and later a UUID. Each pair is
+	 * converted to a version 0 document, migrated and saved. The old files are
+	 * then moved to the `legacy` folder instead of being deleted.
+	 *
+	 * @returns {number} - Number of imported notes
+	 */
+	importLegacy() {
+		const names = new Set();
+		for (const name of this._listFiles(this._directory)) {
+			const match = name.match(/^(.+)_(text|state)$/);
+			if (match) {
+				names.add(match[1]);
+			}
+		}
+
+		let imported = 0;
+		for (const name of names) {
+			try {
+				const statePath = this._path(`${name}_state`);
+				const textPath = this._path(`${name}_text`);
+
+				let state = {};
+				try {
+					state = JSON.parse(this._readFile(statePath) ?? '{}');
+				} catch (e) {
+					log(`Notes Extension: Legacy state of note ${name} is unreadable, using defaults: ${e}`);
+				}
+
+				const id = /^\d+$/.test(name) ? GLib.uuid_string_random() : name;
+				const text = this._readFile(textPath) ?? '';
+
+				if (!this.save(migrate({ ...state, text, id, version: 0 }))) {
+					continue;
+				}
+				this._moveToLegacy(statePath);
+				this._moveToLegacy(textPath);
+				imported++;
+				log(`Notes Extension: Imported legacy note ${name} as ${id}`);
+			} catch (e) {
+				log(`Notes Extension: Error importing legacy note ${name}: ${e}`);
+			}
+		}
+		return imported;
+	}
+
+	/**
+	 * Move an imported legacy file out of the way
+	 *
+	 * @param {string} path - File path
+	 */
+	_moveToLegacy(path) {
+		const file = Gio.File.new_for_path(path);
+		if (!file.query_exists(null)) {
+			return;
+		}
+		const legacyDirectory = this._path('legacy');
+		GLib.mkdir_with_parents(legacyDirectory, 0o755);
+		const target = Gio.File.new_for_path(GLib.build_filenamev([legacyDirectory, file.get_basename()]));
+		file.move(target, Gio.FileCopyFlags.OVERWRITE, null, null);
+	}
+}
@@ -0,0 +1,409 @@
+#!/usr/bin/env -S gjs -m
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file is a command-line tool to manage notes from a terminal.
+ *            While the extension is running, the tool talks to it over D-Bus,
+ *            so open notes update right away. Otherwise it reads and writes
+ *            the note files directly, which also works over SSH.
+ *            Run it with: gjs -m notes-cli.js help
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+import System from 'system';
+
+// Import our own modules
+import * as NoteStore from './noteStore.js';
+import * as DBus from './dbus.js';
+import { parseChecklist } from './checklistText.js';
+
+const USAGE = `Usage: notes-cli.js <command> [arguments]
+
+Commands:
+  list                      List notes as ID, color and beginning of the text
+  cat <id>                  Print the text of a note
+  add [--color r,g,b] [text|-]
+                            Create a note, reading the text from stdin for - or no text
+  append <id>               Append the text read from stdin to a note
+  edit <id>                 Edit the text of a note in $EDITOR
+  rm <id>                   Move a note to the trash
+  show                      Show all notes
+  hide                      Hide all notes
+
+IDs can be shortened to any unique beginning.`;
+
+/**
+ * Folder of the extension, next to this file
+ */
+const EXTENSION_DIR = Gio.File.new_for_uri(import.meta.url).get_parent().get_path();
+
+/**
+ * Settings schema of the extension
+ */
+const SCHEMA_ID = 'org.gnome.shell.extensions.notes-sticky';
+
+/**
+ * Error shown to the user without a stack trace
+ */
+class UsageError extends Error {}
+
+/**
+ * Read the extension settings
+ *
+ * @returns {Gio.Settings|null} - Settings, or null if the schema isn't compiled
+ */
+function getSettings() {
+	try {
+		const source = Gio.SettingsSchemaSource.new_from_directory(
+			GLib.build_filenamev([EXTENSION_DIR, 'schemas']),
+			Gio.SettingsSchemaSource.get_default(), false);
+		const schema = source.lookup(SCHEMA_ID, true);
+		return schema ? new Gio.Settings({ settings_schema: schema }) : null;
+	} catch (e) {
+		return null;
+	}
+}
+
+/**
+ * Read all of standard input
+ *
+ * @returns {string}
+ */
+function readStdin() {
+	const [, contents] = GLib.file_get_contents('/dev/stdin');
+	return new TextDecoder().decode(contents);
+}
+
+/**
+ * ShellBackend class
+ *
+ * Manages the notes through the D-Bus interface of the running extension.
+ */
+class ShellBackend {
+	/**
+	 * Connect to the running extension
+	 *
+	 * @returns {ShellBackend|null} - Backend, or null if the extension isn't running
+	 */
+	static connect() {
+		try {
+			const reply = Gio.DBus.session.call_sync('org.gnome.Shell', DBus.OBJECT_PATH,
+				'org.freedesktop.DBus.Introspectable', 'Introspect',
+				null, new GLib.VariantType('(s)'), Gio.DBusCallFlags.NONE, 2000, null);
+			const [xml] = reply.deep_unpack();
+			return xml.includes(DBus.INTERFACE_NAME) ? new ShellBackend() : null;
+		} catch (e) {
+			// No session bus, e.g. over SSH, or GNOME Shell isn't running
+			return null;
+		}
+	}
+
+	/**
+	 * Call a method of the notes interface
+	 *
+	 * @param {string} method - Method name
+	 * @param {GLib.Variant|null} parameters - Parameters
+	 * @returns {Array} - Unpacked reply
+	 */
+	_call(method, parameters = null) {
+		try {
+			const reply = Gio.DBus.session.call_sync('org.gnome.Shell', DBus.OBJECT_PATH,
+				DBus.INTERFACE_NAME, method, parameters, null, Gio.DBusCallFlags.NONE, -1, null);
+			return reply.deep_unpack();
+		} catch (e) {
+			Gio.DBusError.strip_remote_error(e);
+			throw new UsageError(e.message);
+		}
+	}
+
+	/**
+	 * List the notes
+	 *
+	 * @returns {object[]} - Notes as `{ id, snippet, color }`
+	 */
+	list() {
+		const [notes] = this._call('List');
+		return notes.map(([id, snippet, color]) => ({ id, snippet, color }));
+	}
+
+	/**
+	 * Get the text of a note
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {string}
+	 */
+	getText(id) {
+		return this._call('GetText', new GLib.Variant('(s)', [id]))[0];
+	}
+
+	/**
+	 * Replace the text of a note
+	 *
+	 * @param {string} id - Note ID
+	 * @param {string} text - New text
+	 */
+	setText(id, text) {
+		this._call('SetText', new GLib.Variant('(ss)', [id, text]));
+	}
+
+	/**
+	 * Create a note
+	 *
+	 * @param {string} text - Text of the note
+	 * @param {string|null} color - Color as "r,g,b", or null for the default color
+	 * @returns {string} - ID of the new note
+	 */
+	create(text, color) {
+		return this._call('Create', new GLib.Variant('(ssii)', [text, color ?? '', -1, -1]))[0];
+	}
+
+	/**
+	 * Move a note to the trash
+	 *
+	 * @param {string} id - Note ID
+	 */
+	remove(id) {
+		this._call('Delete', new GLib.Variant('(s)', [id]));
+	}
+
+	/**
+	 * Show or hide all notes
+	 *
+	 * @param {boolean} visible - Whether to show the notes
+	 */
+	setVisible(visible) {
+		this._call(visible ? 'Show' : 'Hide');
+	}
+}
+
+/**
+ * StoreBackend class
+ *
+ * Manages the note files directly, while the extension isn't running.
+ * It has the methods of ShellBackend.
+ */
+class StoreBackend {
+	/**
+	 * Open the storage directory set in the extension settings
+	 *
+	 * @param {Gio.Settings|null} settings - Extension settings
+	 */
+	constructor(settings) {
+		let directory = settings?.get_string('storage-directory').trim() ?? '';
+		if (directory.startsWith('~')) {
+			directory = GLib.get_home_dir() + directory.slice(1);
+		}
+		this._settings = settings;
+		this._store = new NoteStore.NoteStore(directory || NoteStore.DEFAULT_PATH, {
+			onRecovery: message => printerr(message),
+		});
+	}
+
+	/**
+	 * Load a note document
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {object} - The document
+	 * @throws if the note can't be loaded
+	 */
+	_load(id) {
+		const document = this._store.load(id);
+		if (!document) {
+			throw new UsageError(`No note with ID ${id}`);
+		}
+		return document;
+	}
+
+	/**
+	 * Write a note document
+	 *
+	 * @param {object} document - Note document
+	 * @throws if the note can't be written
+	 */
+	_save(document) {
+		if (!this._store.save(document)) {
+			throw new UsageError(`Note ${document.id} could not be saved in ${this._store.directory}`);
+		}
+	}
+
+	list() {
+		return this._store.listIds()
+			.map(id => this._store.load(id))
+			.filter(document => document !== null)
+			.map(document => ({ id: document.id, snippet: NoteStore.snippet(document.text, 80), color: document.color }));
+	}
+
+	getText(id) {
+		return this._load(id).text;
+	}
+
+	setText(id, text) {
+		const document = this._load(id);
+		document.text = text;
+		// Checklists keep their items next to the text
+		if (document.type === 'checklist') {
+			document.items = parseChecklist(text);
+		}
+		this._save(document);
+	}
+
+	create(text, color) {
+		const document = { version: NoteStore.SCHEMA_VERSION, id: GLib.uuid_string_random(), text };
+		if (this._settings) {
+			// Same defaults as new notes in the shell
+			document.color = this._settings.get_string('default-color');
+			document.width = this._settings.get_int('default-width');
+			document.height = this._settings.get_int('default-height');
+			document.fontSize = this._settings.get_int('font-size');
+		}
+		if (color) {
+			document.color = color;
+		}
+		this._store.ensureDirectory();
+		this._save(NoteStore.migrate(document));
+		return document.id;
+	}
+
+	remove(id) {
+		if (!this._store.trash(this._load(id))) {
+			throw new UsageError(`Note ${id} could not be moved to the trash`);
+		}
+	}
+
+	setVisible() {
+		throw new UsageError('Showing and hiding notes needs the running extension');
+	}
+}
+
+/**
+ * Find the note an ID given on the command line stands for
+ *
+ * @param {object} backend - Backend to ask
+ * @param {string|undefined} prefix - Full ID or unique beginning of it
+ * @returns {string} - Full note ID
+ */
+function resolveId(backend, prefix) {
+	if (!prefix) {
+		throw new UsageError('Missing note ID');
+	}
+	const ids = backend.list().map(note => note.id);
+	if (ids.includes(prefix)) {
+		return prefix;
+	}
+	const matches = ids.filter(id => id.startsWith(prefix));
+	if (matches.length === 0) {
+		throw new UsageError(`No note with ID ${prefix}`);
+	} else if (matches.length > 1) {
+		throw new UsageError(`ID ${prefix} is ambiguous: ${matches.join(', ')}`);
+	}
+	return matches[0];
+}
+
+/**
+ * Edit a text in the user's editor
+ *
+ * @param {string} text - Text to edit
+ * @returns {string} - Edited text
+ */
+function editText(text) {
+	const editor = GLib.getenv('VISUAL') || GLib.getenv('EDITOR') || 'vi';
+	const [, editorArgv] = GLib.shell_parse_argv(editor);
+	const [file, stream] = Gio.File.new_tmp('notes-XXXXXX.md');
+	try {
+		stream.output_stream.write_bytes(new GLib.Bytes(new TextEncoder().encode(text)), null);
+		stream.close(null);
+
+		try {
+			Gio.Subprocess.new([...editorArgv, file.get_path()], Gio.SubprocessFlags.STDIN_INHERIT)
+				.wait_check(null);
+		} catch (e) {
+			throw new UsageError(`${editor} failed, the note was not changed: ${e.message}`);
+		}
+		const [, contents] = file.load_contents(null);
+		return new TextDecoder().decode(contents);
+	} finally {
+		file.delete(null);
+	}
+}
+
+/**
+ * Run a command
+ *
+ * @param {string[]} args - Command-line arguments
+ */
+function run(args) {
+	const [command, ...rest] = args;
+	if (!command || command === 'help' || command === '--help' || command === '-h') {
+		print(USAGE);
+		return;
+	}
+
+	const backend = ShellBackend.connect() ?? new StoreBackend(getSettings());
+	switch (command) {
+	case 'list':
+		for (const note of backend.list()) {
+			print(`${note.id}\t${note.color}\t${note.snippet}`);
+		}
+		break;
+	case 'cat':
+		print(backend.getText(resolveId(backend, rest[0])));
+		break;
+	case 'add': {
+		let color = null;
+		if (rest[0] === '--color') {
+			color = rest[1];
+			rest.splice(0, 2);
+			if (!/^\d{1,3},\d{1,3},\d{1,3}$/.test(color ?? '')) {
+				throw new UsageError('--color needs a color as r,g,b, e.g. 255,255,50');
+			}
+		}
+		const text = rest.length === 0 || rest[0] === '-' ? readStdin() : rest.join(' ');
+		print(backend.create(text.replace(/\n$/, ''), color));
+		break;
+	}
+	case 'append': {
+		const id = resolveId(backend, rest[0]);
+		const addition = readStdin().replace(/\n$/, '');
+		const text = backend.getText(id);
+		backend.setText(id, text === '' ? addition : `${text}\n${addition}`);
+		break;
+	}
+	case 'edit': {
+		const id = resolveId(backend, rest[0]);
+		const text = backend.getText(id);
+		const edited = editText(`${text}\n`).replace(/\n$/, '');
+		if (edited !== text) {
+			backend.setText(id, edited);
+		}
+		break;
+	}
+	case 'rm':
+		backend.remove(resolveId(backend, rest[0]));
+		break;
+	case 'show':
+		backend.setVisible(true);
+		break;
+	case 'hide':
+		backend.setVisible(false);
+		break;
+	default:
+		throw new UsageError(`Unknown command ${command}\n\n${USAGE}`);
+	}
+}
+
+try {
+	run(ARGV);
+} catch (e) {
+	if (!(e instanceof UsageError)) {
+		throw e;
+	}
+	printerr(`notes-cli: ${e.message}`);
+	System.exit(1);
+}
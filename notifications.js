@@ -0,0 +1,98 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file shows notifications with actions in the message tray.
+ *            It hides the differences of the MessageTray API between GNOME 45 and 46+.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+import * as MessageTray from 'resource:///org/gnome/shell/ui/messageTray.js';
+import * as Config from 'resource:///org/gnome/shell/misc/config.js';
+
+const SHELL_MAJOR = parseInt(Config.PACKAGE_VERSION.split('.')[0]);
+
+// Message tray source shared by all notifications of the extension
+let source = null;
+
+/**
+ * Get the message tray source, creating it if needed
+ *
+ * @returns {MessageTray.Source}
+ */
+function getSource() {
+	if (source) {
+		return source;
+	}
+
+	if (SHELL_MAJOR >= 46) {
+		source = new MessageTray.Source({
+			title: 'Notes',
+			iconName: 'document-edit-symbolic',
+		});
+	} else {
+		source = new MessageTray.Source('Notes', 'document-edit-symbolic');
+	}
+	source.connect('destroy', () => {
+		source = null;
+	});
+	Main.messageTray.add(source);
+	return source;
+}
+
+/**
+ * Show a notification
+ *
+ * @param {string} title - Notification title
+ * @param {string} body - Notification text
+ * @param {object[]} [actions] - Buttons as `{ label, callback }` objects
+ * @param {object} [options]
+ * @param {boolean} [options.transient] - Don't keep the notification in the tray
+ * @param {boolean} [options.critical] - Keep the banner on screen until acted on
+ * @returns {MessageTray.Notification} - The notification
+ */
+export function notify(title, body, actions = [], { transient = false, critical = false } = {}) {
+	const notificationSource = getSource();
+	const urgency = critical ? MessageTray.Urgency.CRITICAL : MessageTray.Urgency.NORMAL;
+
+	let notification;
+	if (SHELL_MAJOR >= 46) {
+		notification = new MessageTray.Notification({
+			source: notificationSource,
+			title,
+			body,
+			isTransient: transient,
+			urgency,
+		});
+	} else {
+		notification = new MessageTray.Notification(notificationSource, title, body);
+		notification.setTransient(transient);
+		notification.setUrgency(urgency);
+	}
+
+	for (const action of actions) {
+		notification.addAction(action.label, action.callback);
+	}
+
+	if (SHELL_MAJOR >= 46) {
+		notificationSource.addNotification(notification);
+	} else {
+		notificationSource.showNotification(notification);
+	}
+	return notification;
+}
+
+/**
+ * Remove all notifications of the extension
+ */
+export function destroy() {
+	if (source) {
+		source.destroy();
+		source = null;
+	}
+}
@@ -0,0 +1,317 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file provides the preferences window of the notes extension.
+ *            Open notes follow the changes right away.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import Adw from 'gi://Adw';
+import Gdk from 'gi://Gdk';
+import Gio from 'gi://Gio';
+import GLib from 'gi://GLib';
+import Gtk from 'gi://Gtk';
+import Pango from 'gi://Pango';
+import { ExtensionPreferences } from 'resource:///org/gnome/Shell/Extensions/js/extensions/prefs.js';
+
+/**
+ * Preferences class
+ *
+ * Builds the preferences window from the extension's settings.
+ */
+export default class NotesPreferences extends ExtensionPreferences {
+	/**
+	 * Fill the preferences window
+	 *
+	 * @param {Adw.PreferencesWindow} window - Window to fill
+	 */
+	fillPreferencesWindow(window) {
+		const settings = this.getSettings();
+		// Keep the settings alive as long as the window
+		window._settings = settings;
+
+		const page = new Adw.PreferencesPage({
+			title: "Notes",
+			icon_name: 'document-edit-symbolic',
+		});
+		window.add(page);
+
+		page.add(this._buildNewNotesGroup(settings));
+		page.add(this._buildAppearanceGroup(settings));
+		page.add(this._buildStorageGroup(settings, window));
+		page.add(this._buildSnappingGroup(settings));
+		page.add(this._buildShortcutsGroup(settings));
+	}
+
+	/**
+	 * Build the group with the defaults of new notes
+	 *
+	 * @param {Gio.Settings} settings - Extension settings
+	 * @returns {Adw.PreferencesGroup}
+	 */
+	_buildNewNotesGroup(settings) {
+		const group = new Adw.PreferencesGroup({ title: "New notes" });
+
+		// Color, stored as "r,g,b"
+		const colorRow = new Adw.ActionRow({ title: "Color" });
+		const colorButton = new Gtk.ColorDialogButton({
+			dialog: new Gtk.ColorDialog({ with_alpha: false }),
+			valign: Gtk.Align.CENTER,
+		});
+		const loadColor = () => {
+			const [r, g, b] = settings.get_string('default-color').split(',').map(Number);
+			const rgba = new Gdk.RGBA();
+			rgba.red = (r || 0) / 255;
+			rgba.green = (g || 0) / 255;
+			rgba.blue = (b || 0) / 255;
+			rgba.alpha = 1;
+			colorButton.rgba = rgba;
+		};
+		loadColor();
+		colorButton.connect('notify::rgba', () => {
+			const { red, green, blue } = colorButton.rgba;
+			const value = [red, green, blue].map(c => Math.round(c * 255)).join(',');
+			if (value !== settings.get_string('default-color')) {
+				settings.set_string('default-color', value);
+			}
+		});
+		settings.connect('changed::default-color', loadColor);
+		colorRow.add_suffix(colorButton);
+		colorRow.activatable_widget = colorButton;
+		group.add(colorRow);
+
+		group.add(this._buildSpinRow(settings, 'default-width', "Width", 200, 2000, 10));
+		group.add(this._buildSpinRow(settings, 'default-height', "Height", 75, 2000, 10));
+		group.add(this._buildSpinRow(settings, 'font-size', "Font size", 6, 72, 1));
+
+		return group;
+	}
+
+	/**
+	 * Build the group with the appearance of all notes
+	 *
+	 * @param {Gio.Settings} settings - Extension settings
+	 * @returns {Adw.PreferencesGroup}
+	 */
+	_buildAppearanceGroup(settings) {
+		const group = new Adw.PreferencesGroup({ title: "Appearance" });
+
+		// Font family
+		const fontRow = new Adw.ActionRow({ title: "Font" });
+		const fontButton = new Gtk.FontDialogButton({
+			dialog: new Gtk.FontDialog(),
+			level: Gtk.FontLevel.FAMILY,
+			valign: Gtk.Align.CENTER,
+		});
+		fontButton.font_desc = Pango.FontDescription.from_string(settings.get_string('font-family'));
+		fontButton.connect('notify::font-desc', () => {
+			const family = fontButton.font_desc?.get_family();
+			if (family && family !== settings.get_string('font-family')) {
+				settings.set_string('font-family', family);
+			}
+		});
+		fontRow.add_suffix(fontButton);
+		fontRow.activatable_widget = fontButton;
+		group.add(fontRow);
+
+		group.add(this._buildSpinRow(settings, 'opacity', "Opacity", 0.1, 1, 0.05, 2));
+		group.add(this._buildSpinRow(settings, 'hover-opacity', "Opacity on hover", 0.1, 1, 0.05, 2));
+
+		return group;
+	}
+
+	/**
+	 * Build the group with storage, startup and panel options
+	 *
+	 * @param {Gio.Settings} settings - Extension settings
+	 * @param {Adw.PreferencesWindow} window - Parent of the folder dialog
+	 * @returns {Adw.PreferencesGroup}
+	 */
+	_buildStorageGroup(settings, window) {
+		const group = new Adw.PreferencesGroup({ title: "Storage and behavior" });
+
+		// Storage directory and sync folder
+		const defaultPath = GLib.build_filenamev([GLib.get_user_data_dir(), 'notes_data']);
+		group.add(this._buildFolderRow(settings, window, 'storage-directory', "Storage directory",
+			defaultPath, "Use the default directory"));
+
+		const syncRow = this._buildFolderRow(settings, window, 'sync-directory', "Sync folder",
+			"Off", "Turn off the sync");
+		syncRow.tooltip_text = "Every note is mirrored as a Markdown file that can be edited and synced by other tools.";
+		group.add(syncRow);
+
+		// Startup and trash
+		const startupRow = new Adw.SwitchRow({ title: "Show notes at startup" });
+		settings.bind('show-at-startup', startupRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+		group.add(startupRow);
+
+		const toggleRow = new Adw.SwitchRow({
+			title: "Click on panel button shows or hides notes",
+			subtitle: "Otherwise it opens the menu. A middle-click always shows or hides notes.",
+		});
+		settings.bind('panel-click-toggles', toggleRow, 'active', Gio.SettingsBindFlags.DEFAULT);
+		group.add(toggleRow);
+
+		const trashRow = this._buildSpinRow(settings, 'trash-max-age', "Empty trash after (days)", 0, 3650, 1);
+		trashRow.subtitle = "0 keeps deleted notes forever";
+		group.add(trashRow);
+
+		return group;
+	}
+
+	/**
+	 * Build a row choosing a folder for a path setting
+	 *
+	 * @param {Gio.Settings} settings - Extension settings
+	 * @param {Adw.PreferencesWindow} window - Parent of the folder dialog
+	 * @param {string} key - Settings key
+	 * @param {string} title - Row title
+	 * @param {string} emptyText - Subtitle while the setting is empty
+	 * @param {string} resetTooltip - Tooltip of the button resetting the setting
+	 * @returns {Adw.ActionRow}
+	 */
+	_buildFolderRow(settings, window, key, title, emptyText, resetTooltip) {
+		const row = new Adw.ActionRow({ title });
+		const updateSubtitle = () => {
+			row.subtitle = settings.get_string(key) || emptyText;
+		};
+		updateSubtitle();
+		settings.connect(`changed::${key}`, updateSubtitle);
+
+		const chooseButton = new Gtk.Button({
+			icon_name: 'folder-open-symbolic',
+			tooltip_text: "Choose folder",
+			valign: Gtk.Align.CENTER,
+		});
+		chooseButton.connect('clicked', () => {
+			const dialog = new Gtk.FileDialog({ title });
+			dialog.select_folder(window, null, (source, result) => {
+				try {
+					const folder = dialog.select_folder_finish(result);
+					settings.set_string(key, folder.get_path());
+				} catch (e) {
+					if (!e.matches(Gtk.DialogError, Gtk.DialogError.DISMISSED)) {
+						logError(e);
+					}
+				}
+			});
+		});
+		row.add_suffix(chooseButton);
+
+		const resetButton = new Gtk.Button({
+			icon_name: 'edit-undo-symbolic',
+			tooltip_text: resetTooltip,
+			valign: Gtk.Align.CENTER,
+		});
+		resetButton.connect('clicked', () => settings.reset(key));
+		row.add_suffix(resetButton);
+		return row;
+	}
+
+	/**
+	 * Build the group with the snapping of dragged notes
+	 *
+	 * @param {Gio.Settings} settings - Extension settings
+	 * @returns {Adw.PreferencesGroup}
+	 */
+	_buildSnappingGroup(settings) {
+		const group = new Adw.PreferencesGroup({
+			title: "Snapping",
+			description: "Hold Shift while dragging a note to place it freely.",
+		});
+
+		const switches = [
+			{ key: 'snap-to-grid', title: "Snap to grid" },
+			{ key: 'snap-to-edges', title: "Snap to screen edges" },
+			{ key: 'snap-to-notes', title: "Snap to other notes" },
+		];
+		for (const { key, title } of switches) {
+			const row = new Adw.SwitchRow({ title });
+			settings.bind(key, row, 'active', Gio.SettingsBindFlags.DEFAULT);
+			group.add(row);
+		}
+
+		const gridRow = this._buildSpinRow(settings, 'grid-size', "Grid size", 4, 200, 1);
+		settings.bind('snap-to-grid', gridRow, 'sensitive', Gio.SettingsBindFlags.GET);
+		group.add(gridRow);
+
+		return group;
+	}
+
+	/**
+	 * Build the group with the global shortcuts
+	 *
+	 * Shortcuts are typed in GTK accelerator syntax, e.g. `<Super><Alt>n`.
+	 * An empty entry disables the shortcut.
+	 *
+	 * @param {Gio.Settings} settings - Extension settings
+	 * @returns {Adw.PreferencesGroup}
+	 */
+	_buildShortcutsGroup(settings) {
+		const group = new Adw.PreferencesGroup({
+			title: "Shortcuts",
+			description: "Shortcuts use the GTK accelerator syntax, as in the defaults. Leave empty to disable a shortcut.",
+		});
+
+		const shortcuts = [
+			{ key: 'shortcut-toggle-notes', title: "Show or hide notes" },
+			{ key: 'shortcut-new-note', title: "New note at pointer" },
+			{ key: 'shortcut-focus-recent', title: "Focus last note" },
+			{ key: 'shortcut-search', title: "Search notes" },
+		];
+
+		for (const { key, title } of shortcuts) {
+			const row = new Adw.EntryRow({ title, show_apply_button: true });
+			const load = () => {
+				row.text = settings.get_strv(key)[0] ?? '';
+				row.remove_css_class('error');
+			};
+			load();
+			settings.connect(`changed::${key}`, load);
+
+			row.connect('apply', () => {
+				const accelerator = row.text.trim();
+				if (accelerator === '') {
+					settings.set_strv(key, []);
+					return;
+				}
+				const [valid] = Gtk.accelerator_parse(accelerator);
+				if (valid) {
+					settings.set_strv(key, [accelerator]);
+				} else {
+					row.add_css_class('error');
+				}
+			});
+			group.add(row);
+		}
+
+		return group;
+	}
+
+	/**
+	 * Build a spin row bound to a numeric setting
+	 *
+	 * @param {Gio.Settings} settings - Extension settings
+	 * @param {string} key - Settings key
+	 * @param {string} title - Row title
+	 * @param {number} lower - Lowest value
+	 * @param {number} upper - Highest value
+	 * @param {number} step - Step of the buttons
+	 * @param {number} [digits] - Number of decimals shown
+	 * @returns {Adw.SpinRow}
+	 */
+	_buildSpinRow(settings, key, title, lower, upper, step, digits = 0) {
+		const row = new Adw.SpinRow({
+			title,
+			digits,
+			adjustment: new Gtk.Adjustment({ lower, upper, step_increment: step, page_increment: step * 10 }),
+		});
+		settings.bind(key, row, 'value', Gio.SettingsBindFlags.DEFAULT);
+		return row;
+	}
+}
@@ -0,0 +1,193 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file schedules the reminders attached to notes.
+ *            A reminder is saved with its note as `{ at, repeat, snoozedUntil }`,
+ *            with times in milliseconds since the epoch. Times are checked against
+ *            the wall clock at least once a minute, so reminders that came due
+ *            while the computer was asleep or the shell was not running fire as
+ *            soon as possible.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import GLib from 'gi://GLib';
+
+/**
+ * Ways a reminder can repeat
+ */
+export const REPEAT_MODES = ['none', 'daily', 'weekly'];
+
+/**
+ * Minutes a snoozed reminder waits
+ */
+export const SNOOZE_MINUTES = 10;
+
+/**
+ * Longest time in seconds between two checks of the reminders
+ */
+const MAX_CHECK_INTERVAL = 60;
+
+/**
+ * Check the shape of a reminder read from a file
+ *
+ * @param {*} reminder - Reminder as `{ at, repeat, snoozedUntil }`
+ * @returns {boolean} - Whether the reminder can be scheduled
+ */
+export function isValid(reminder) {
+	return reminder !== null && typeof reminder === 'object' &&
+		Number.isFinite(reminder.at) &&
+		REPEAT_MODES.includes(reminder.repeat) &&
+		(reminder.snoozedUntil == null || Number.isFinite(reminder.snoozedUntil));
+}
+
+/**
+ * Get the time a reminder fires next
+ *
+ * @param {object} reminder - Reminder as `{ at, repeat, snoozedUntil }`
+ * @returns {number} - Time in milliseconds since the epoch
+ */
+export function dueTime(reminder) {
+	// Reminders written by hand or by other programs may lack snoozedUntil
+	return reminder.snoozedUntil == null ? reminder.at : Math.min(reminder.at, reminder.snoozedUntil);
+}
+
+/**
+ * Get a reminder after it fired
+ *
+ * A reminder that doesn't repeat is removed. A repeating reminder moves on
+ * to its next occurrence after `now`, skipping the ones that were missed.
+ *
+ * @param {object} reminder - Reminder as `{ at, repeat, snoozedUntil }`
+ * @param {number} now - Current time in milliseconds since the epoch
+ * @returns {object|null} - The remaining reminder, or null
+ */
+export function afterFiring(reminder, now) {
+	const next = { ...reminder };
+	if (next.snoozedUntil != null && next.snoozedUntil <= now) {
+		next.snoozedUntil = null;
+	}
+	if (next.at > now) {
+		return next;
+	}
+	if (next.repeat === 'none') {
+		return null;
+	}
+
+	// Step in local time, so the reminder keeps its time of day across DST changes
+	let time = GLib.DateTime.new_from_unix_local(Math.floor(next.at / 1000));
+	while (time.to_unix() * 1000 <= now) {
+		time = next.repeat === 'daily' ? time.add_days(1) : time.add_weeks(1);
+	}
+	next.at = time.to_unix() * 1000;
+	return next;
+}
+
+/**
+ * Get a reminder that was snoozed
+ *
+ * @param {object|null} reminder - Current reminder of the note, if any
+ * @param {number} now - Current time in milliseconds since the epoch
+ * @returns {object} - Reminder firing again in SNOOZE_MINUTES
+ */
+export function snooze(reminder, now) {
+	const until = now + SNOOZE_MINUTES * 60 * 1000;
+	if (!reminder || reminder.repeat === 'none') {
+		return { at: until, repeat: 'none', snoozedUntil: null };
+	}
+	// Keep the repeating reminder and fire once in between
+	return { ...reminder, snoozedUntil: until };
+}
+
+/**
+ * Format the time of a reminder for menus
+ *
+ * @param {number} time - Time in milliseconds since the epoch
+ * @returns {string} - Localized day and time
+ */
+export function formatTime(time) {
+	return GLib.DateTime.new_from_unix_local(Math.floor(time / 1000)).format('%a %e %b, %H:%M');
+}
+
+/**
+ * ReminderScheduler class
+ *
+ * Watches the reminders of all notes and reports the ones that are due.
+ * Call `update()` whenever a reminder was set, changed or removed.
+ */
+export class ReminderScheduler {
+	/**
+	 * Create a scheduler
+	 *
+	 * @param {Function} getNotes - Returns the notes to watch
+	 * @param {Function} onDue - Called with a note when its reminder fires
+	 */
+	constructor(getNotes, onDue) {
+		this._getNotes = getNotes;
+		this._onDue = onDue;
+		this._timeoutId = 0;
+		this._checking = false;
+	}
+
+	/**
+	 * Fire the reminders that are due and wait for the next one
+	 */
+	update() {
+		// Notes get their new reminders while they are checked
+		if (this._checking) {
+			return;
+		}
+		if (this._timeoutId) {
+			GLib.source_remove(this._timeoutId);
+			this._timeoutId = 0;
+		}
+
+		this._checking = true;
+		const now = Date.now();
+		let next = Infinity;
+		try {
+			for (const note of [...this._getNotes()]) {
+				const reminder = note.reminder;
+				if (!reminder) {
+					continue;
+				}
+				if (dueTime(reminder) <= now) {
+					const remaining = afterFiring(reminder, now);
+					note.setReminder(remaining);
+					this._onDue(note);
+					if (remaining) {
+						next = Math.min(next, dueTime(remaining));
+					}
+				} else {
+					next = Math.min(next, dueTime(reminder));
+				}
+			}
+		} finally {
+			this._checking = false;
+		}
+
+		if (next === Infinity) {
+			return;
+		}
+		const seconds = Math.max(1, Math.min(MAX_CHECK_INTERVAL, Math.ceil((next - now) / 1000)));
+		this._timeoutId = GLib.timeout_add_seconds(GLib.PRIORITY_DEFAULT, seconds, () => {
+			this._timeoutId = 0;
+			this.update();
+			return GLib.SOURCE_REMOVE;
+		});
+	}
+
+	/**
+	 * Stop watching the reminders
+	 */
+	destroy() {
+		if (this._timeoutId) {
+			GLib.source_remove(this._timeoutId);
+			this._timeoutId = 0;
+		}
+	}
+}
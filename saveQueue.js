@@ -0,0 +1,233 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file provides the save queue for notes.
+ *            Changes are collected per note and written after a short delay
+ *            with asynchronous Gio calls, so saving never blocks the compositor.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+/**
+ * Delay in milliseconds before saving a change to position, size, color...
+ */
+export const STATE_DELAY = 200;
+
+/**
+ * Delay in milliseconds after the last keystroke before saving the text
+ */
+export const TEXT_DELAY = 1000;
+
+/**
+ * Longest time in milliseconds a change may wait while new changes keep coming
+ */
+const MAX_DELAY = 5000;
+
+/**
+ * Delay in milliseconds before the first retry of a failed write
+ */
+const RETRY_DELAY = 2000;
+
+/**
+ * Longest delay in milliseconds between retries of a failed write
+ */
+const MAX_RETRY_DELAY = 60 * 1000;
+
+/**
+ * SaveQueue class
+ *
+ * Coalesces save requests per note. A note is serialized only when it is
+ * actually written, so the latest state is always saved. At most one write
+ * per note runs at a time.
+ */
+export class SaveQueue {
+	/**
+	 * Create a save queue
+	 *
+	 * @param {NoteStore} store - Store the notes are saved to
+	 * @param {object} [options]
+	 * @param {NoteHistory} [options.history] - History told about every text that is written
+	 * @param {Function} [options.onSaved] - Called with every document that was written
+	 */
+	constructor(store, { history = null, onSaved = null } = {}) {
+		this._store = store;
+		this._history = history;
+		this._onSaved = onSaved;
+
+		// Note ID -> { note, since, timeoutId } for notes waiting to be saved
+		this._pending = new Map();
+
+		// Note ID -> { note, cancellable } for writes in progress
+		this._writing = new Map();
+
+		// Note ID -> number of failed writes in a row
+		this._failures = new Map();
+	}
+
+	/**
+	 * Schedule a note to be saved
+	 *
+	 * Every call restarts the delay, but a change never waits longer than MAX_DELAY.
+	 *
+	 * @param {NoteBox} note - Note to save
+	 * @param {number} [delay] - Delay in milliseconds
+	 */
+	schedule(note, delay = STATE_DELAY) {
+		const now = GLib.get_monotonic_time() / 1000;
+		let entry = this._pending.get(note.id);
+		if (entry) {
+			if (entry.timeoutId) {
+				GLib.source_remove(entry.timeoutId);
+			}
+		} else {
+			entry = { note, since: now, timeoutId: 0 };
+			this._pending.set(note.id, entry);
+		}
+
+		const remaining = Math.max(0, Math.min(delay, MAX_DELAY - (now - entry.since)));
+		entry.timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, remaining, () => {
+			entry.timeoutId = 0;
+			this._write(note.id);
+			return GLib.SOURCE_REMOVE;
+		});
+	}
+
+	/**
+	 * Check whether a note has changes that are not on disk yet
+	 *
+	 * @param {string} id - Note ID
+	 * @returns {boolean}
+	 */
+	isPending(id) {
+		return this._pending.has(id) || this._writing.has(id);
+	}
+
+	/**
+	 * Write a pending note
+	 *
+	 * If a write of the same note is still running, the note stays pending
+	 * and is written as soon as that write finishes. A failed write, e.g.
+	 * on a full disk, is retried later, waiting longer after every failure.
+	 *
+	 * @param {string} id - Note ID
+	 */
+	async _write(id) {
+		const entry = this._pending.get(id);
+		if (!entry || this._writing.has(id)) {
+			return;
+		}
+		this._pending.delete(id);
+
+		const cancellable = new Gio.Cancellable();
+		this._writing.set(id, { note: entry.note, cancellable });
+		let failed = false;
+		try {
+			const document = entry.note.serialize();
+			this._history?.record(id, document.text);
+			if (await this._store.saveAsync(document, cancellable)) {
+				this._failures.delete(id);
+				this._onSaved?.(document);
+			}
+		} catch (e) {
+			failed = true;
+			// Retries fail the same way, so only the first failure is logged
+			if (!this._failures.has(id)) {
+				log(`Notes Extension: Error saving note ${id}, retrying later: ${e}`);
+			}
+			this._failures.set(id, (this._failures.get(id) ?? 0) + 1);
+		} finally {
+			if (this._writing.get(id)?.cancellable === cancellable) {
+				this._writing.delete(id);
+				if (failed && !this._pending.has(id)) {
+					this._retry(entry.note);
+				}
+			}
+			const next = this._pending.get(id);
+			if (next && !next.timeoutId) {
+				this._write(id);
+			}
+		}
+	}
+
+	/**
+	 * Write a note again after a failed write
+	 *
+	 * @param {NoteBox} note - Note to save
+	 */
+	_retry(note) {
+		const failures = this._failures.get(note.id);
+		const delay = Math.min(RETRY_DELAY * 2 ** (failures - 1), MAX_RETRY_DELAY);
+		const entry = { note, since: GLib.get_monotonic_time() / 1000, timeoutId: 0 };
+		entry.timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, delay, () => {
+			entry.timeoutId = 0;
+			this._write(note.id);
+			return GLib.SOURCE_REMOVE;
+		});
+		this._pending.set(note.id, entry);
+	}
+
+	/**
+	 * Stop saving a note, e.g. because it was deleted
+	 *
+	 * @param {string} id - Note ID
+	 */
+	cancel(id) {
+		const entry = this._pending.get(id);
+		if (entry?.timeoutId) {
+			GLib.source_remove(entry.timeoutId);
+		}
+		this._pending.delete(id);
+
+		this._writing.get(id)?.cancellable.cancel();
+		this._writing.delete(id);
+		this._failures.delete(id);
+	}
+
+	/**
+	 * Write every pending note synchronously
+	 *
+	 * Writes in progress are cancelled and redone synchronously, so an older
+	 * asynchronous write can never finish after the final save.
+	 */
+	flush() {
+		const notes = new Map();
+		for (const [id, { note, cancellable }] of this._writing) {
+			cancellable.cancel();
+			notes.set(id, note);
+		}
+		this._writing.clear();
+
+		for (const [id, entry] of this._pending) {
+			if (entry.timeoutId) {
+				GLib.source_remove(entry.timeoutId);
+			}
+			notes.set(id, entry.note);
+		}
+		this._pending.clear();
+		this._failures.clear();
+
+		for (const note of notes.values()) {
+			const document = note.serialize();
+			this._history?.record(note.id, document.text);
+			if (this._store.save(document)) {
+				this._onSaved?.(document);
+			}
+		}
+		// The revisions recorded above and still being written
+		this._history?.flush();
+	}
+
+	/**
+	 * Save everything that is pending and stop
+	 */
+	destroy() {
+		this.flush();
+	}
+}
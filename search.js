@@ -0,0 +1,259 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file provides the full-text search across all notes.
+ *            Matching ignores case and accents. Selecting a result raises the
+ *            note, scrolls to the match and selects it. Note titles are
+ *            searched as well; a match in a title only raises the note.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import Clutter from 'gi://Clutter';
+import GLib from 'gi://GLib';
+import GObject from 'gi://GObject';
+import St from 'gi://St';
+import * as ModalDialog from 'resource:///org/gnome/shell/ui/modalDialog.js';
+
+/**
+ * Number of characters shown around a match
+ */
+const CONTEXT_LENGTH = 30;
+
+/**
+ * Most matches listed per note
+ */
+const MAX_MATCHES_PER_NOTE = 3;
+
+/**
+ * Most results listed in total
+ */
+const MAX_RESULTS = 50;
+
+/**
+ * Fold a text for matching
+ *
+ * Removes accents and lowercases the text. Because folding can change the
+ * length of the text, a map from each folded position back to the position
+ * in the original text is returned as well.
+ *
+ * @param {string} text - Original text
+ * @returns {object} - `{ folded, positions }`, where `positions[i]` is the
+ *   original index of the folded character `i`
+ */
+export function fold(text) {
+	let folded = '';
+	const positions = [];
+	let index = 0;
+	for (const character of text) {
+		const simple = character.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+		folded += simple;
+		for (let i = 0; i < simple.length; i++) {
+			positions.push(index);
+		}
+		index += character.length;
+	}
+	positions.push(index);
+	return { folded, positions };
+}
+
+/**
+ * Find all matches of a query in a text
+ *
+ * @param {string} text - Text to search
+ * @param {string} query - Search term
+ * @returns {object[]} - Matches as `{ start, end }` indices into the original text
+ */
+export function findMatches(text, query) {
+	const term = fold(query.trim()).folded;
+	if (term === '') {
+		return [];
+	}
+
+	const { folded, positions } = fold(text);
+	const matches = [];
+	let from = 0;
+	let found;
+	while ((found = folded.indexOf(term, from)) !== -1) {
+		matches.push({ start: positions[found], end: positions[found + term.length] });
+		from = found + term.length;
+	}
+	return matches;
+}
+
+/**
+ * Build Pango markup showing a match with some text around it
+ *
+ * @param {string} text - Note text
+ * @param {object} match - Match as `{ start, end }`
+ * @returns {string} - Markup with the match in bold
+ */
+function contextMarkup(text, match) {
+	const from = Math.max(0, match.start - CONTEXT_LENGTH);
+	const to = Math.min(text.length, match.end + CONTEXT_LENGTH);
+	const clean = part => GLib.markup_escape_text(part.replace(/\s+/g, ' '), -1);
+	return (from > 0 ? '…' : '') +
+		clean(text.slice(from, match.start)) +
+		'<b>' + clean(text.slice(match.start, match.end)) + '</b>' +
+		clean(text.slice(match.end, to)) +
+		(to < text.length ? '…' : '');
+}
+
+/**
+ * SearchDialog class
+ *
+ * Modal dialog with a search entry and the list of matches.
+ * The list is updated while typing.
+ */
+export const SearchDialog = GObject.registerClass(
+class SearchDialog extends ModalDialog.ModalDialog {
+	/**
+	 * Create the search dialog
+	 *
+	 * @param {Function} getNotes - Returns the notes to search
+	 * @param {Function} onSelect - Called with the note and the match the user picked
+	 */
+	_init(getNotes, onSelect) {
+		super._init({ styleClass: 'notes-search-dialog' });
+		this._getNotes = getNotes;
+		this._onSelect = onSelect;
+
+		this._entry = new St.Entry({
+			hint_text: "Search notes…",
+			can_focus: true,
+			x_expand: true,
+			style_class: 'notes-search-entry',
+		});
+		this._entry.clutter_text.connect('text-changed', () => this._update());
+		this._entry.clutter_text.connect('activate', () => this._selectFirst());
+		this.contentLayout.add_child(this._entry);
+		this.setInitialKeyFocus(this._entry.clutter_text);
+
+		this._results = new St.BoxLayout({ vertical: true });
+		const scrollView = new St.ScrollView({
+			style_class: 'notes-search-results',
+			overlay_scrollbars: true,
+			y_expand: true,
+		});
+		scrollView.add_child(this._results);
+		this.contentLayout.add_child(scrollView);
+
+		this.addButton({
+			label: "Close",
+			action: () => this.close(),
+			key: Clutter.KEY_Escape,
+		});
+
+		this._firstResult = null;
+		this._update();
+	}
+
+	/**
+	 * Rebuild the result list for the current search term
+	 */
+	_update() {
+		this._results.destroy_all_children();
+		this._firstResult = null;
+
+		const query = this._entry.get_text();
+		if (query.trim() === '') {
+			return;
+		}
+
+		let count = 0;
+		for (const note of this._getNotes()) {
+			const [titleMatch] = findMatches(note.title, query);
+			if (titleMatch) {
+				if (count >= MAX_RESULTS) {
+					return;
+				}
+				this._addResult(note, contextMarkup(note.title, titleMatch), null);
+				count++;
+			}
+
+			const text = note.getText();
+			const matches = findMatches(text, query).slice(0, MAX_MATCHES_PER_NOTE);
+			for (const match of matches) {
+				if (count >= MAX_RESULTS) {
+					return;
+				}
+				this._addResult(note, contextMarkup(text, match), match);
+				count++;
+			}
+		}
+
+		if (count === 0) {
+			this._results.add_child(new St.Label({
+				text: "No matching notes",
+				style_class: 'notes-search-empty',
+			}));
+		}
+	}
+
+	/**
+	 * Add a result to the list
+	 *
+	 * @param {NoteBox} note - Note containing the match
+	 * @param {string} markup - Match with some text around it
+	 * @param {object|null} match - Match as `{ start, end }`, null for a match in the title
+	 */
+	_addResult(note, markup, match) {
+		const box = new St.BoxLayout({
+			vertical: false,
+			x_expand: true,
+			style_class: 'notes-search-result-box',
+		});
+		box.add_child(new St.Widget({
+			style_class: 'notes-menu-swatch',
+			style: `background-color: rgb(${note.customColor});`,
+			y_align: Clutter.ActorAlign.CENTER,
+		}));
+
+		const labels = new St.BoxLayout({ vertical: true, x_expand: true, y_align: Clutter.ActorAlign.CENTER });
+		if (note.title && match) {
+			labels.add_child(new St.Label({ text: note.title, style_class: 'notes-search-result-title' }));
+		}
+		const label = new St.Label();
+		label.clutter_text.set_markup(markup);
+		labels.add_child(label);
+		box.add_child(labels);
+
+		const button = new St.Button({
+			child: box,
+			style_class: 'notes-search-result',
+			can_focus: true,
+			x_expand: true,
+		});
+		button.connect('clicked', () => this._select(note, match));
+		this._results.add_child(button);
+
+		if (!this._firstResult) {
+			this._firstResult = { note, match };
+		}
+	}
+
+	/**
+	 * Pick the first result, when Enter is pressed in the entry
+	 */
+	_selectFirst() {
+		if (this._firstResult) {
+			this._select(this._firstResult.note, this._firstResult.match);
+		}
+	}
+
+	/**
+	 * Close the dialog and show a match
+	 *
+	 * @param {NoteBox} note - Note containing the match
+	 * @param {object|null} match - Match as `{ start, end }`, null for a match in the title
+	 */
+	_select(note, match) {
+		// Show the match once the dialog released its modal grab
+		this.connect('closed', () => this._onSelect(note, match));
+		this.close();
+	}
+});
@@ -0,0 +1,171 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file snaps dragged notes to a grid, to the edges of monitors
+ *            and work areas, and to the edges of other notes.
+ *            While a note snaps to an edge, a dashed guide shows the edge.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import St from 'gi://St';
+import * as Main from 'resource:///org/gnome/shell/ui/main.js';
+
+/**
+ * Distance in pixels within which a note snaps to an edge
+ */
+const SNAP_DISTANCE = 10;
+
+/**
+ * Dash pattern of the guides, in pixels
+ */
+const GUIDE_DASH = [6, 4];
+
+/**
+ * Find the closest line an edge of a note can snap to
+ *
+ * @param {number} start - Position of the note's first edge (left or top)
+ * @param {number} size - Size of the note (width or height)
+ * @param {number[]} lines - Positions of the lines to snap to
+ * @returns {object|null} - `{ position, line }` with the new start of the note, or null
+ */
+function closestLine(start, size, lines) {
+	let best = null;
+	for (const line of lines) {
+		for (const offset of [0, size]) {
+			const distance = Math.abs(start + offset - line);
+			if (distance <= SNAP_DISTANCE && (!best || distance < best.distance)) {
+				best = { position: line - offset, line, distance };
+			}
+		}
+	}
+	return best;
+}
+
+/**
+ * Snap the position of a dragged note
+ *
+ * Edges within SNAP_DISTANCE win over the grid. All coordinates are stage coordinates.
+ *
+ * @param {object} rect - Position and size of the note as `{ x, y, width, height }`
+ * @param {object[]} others - Rectangles of the other notes
+ * @param {object} options
+ * @param {number} options.gridSize - Grid size in pixels, 0 for no grid
+ * @param {boolean} options.edges - Snap to the edges of monitors and work areas
+ * @param {boolean} options.notes - Snap to the edges of other notes
+ * @returns {object} - `{ x, y, guides }`, where guides are `{ vertical, position }`
+ */
+export function snapPosition(rect, others, { gridSize, edges, notes }) {
+	const verticalLines = [];
+	const horizontalLines = [];
+
+	if (edges) {
+		for (const monitor of Main.layoutManager.monitors) {
+			const workArea = Main.layoutManager.getWorkAreaForMonitor(monitor.index);
+			for (const area of [monitor, workArea]) {
+				verticalLines.push(area.x, area.x + area.width);
+				horizontalLines.push(area.y, area.y + area.height);
+			}
+		}
+	}
+	if (notes) {
+		for (const other of others) {
+			verticalLines.push(other.x, other.x + other.width);
+			horizontalLines.push(other.y, other.y + other.height);
+		}
+	}
+
+	// The grid starts at the corner of the monitor showing the note
+	const monitor = Main.layoutManager.monitors.find(m =>
+		rect.x + rect.width / 2 >= m.x && rect.x + rect.width / 2 < m.x + m.width) ??
+		Main.layoutManager.primaryMonitor;
+	const toGrid = (value, origin) => gridSize > 0
+		? origin + Math.round((value - origin) / gridSize) * gridSize
+		: value;
+
+	const guides = [];
+	let x = toGrid(rect.x, monitor.x);
+	let y = toGrid(rect.y, monitor.y);
+
+	const snapX = closestLine(rect.x, rect.width, verticalLines);
+	if (snapX) {
+		x = snapX.position;
+		guides.push({ vertical: true, position: snapX.line });
+	}
+	const snapY = closestLine(rect.y, rect.height, horizontalLines);
+	if (snapY) {
+		y = snapY.position;
+		guides.push({ vertical: false, position: snapY.line });
+	}
+
+	return { x, y, guides };
+}
+
+/**
+ * SnapGuides class
+ *
+ * Draws the dashed guides across the stage while a note is dragged.
+ */
+export class SnapGuides {
+	constructor() {
+		this._actors = [];
+		this._shown = '';
+	}
+
+	/**
+	 * Show guides, replacing the ones shown before
+	 *
+	 * @param {object[]} guides - Guides as `{ vertical, position }` in stage coordinates
+	 */
+	show(guides) {
+		// Motion events come often, keep the guides that are already right
+		const key = JSON.stringify(guides);
+		if (key === this._shown) {
+			return;
+		}
+		this.hide();
+		this._shown = key;
+		for (const { vertical, position } of guides) {
+			const actor = new St.DrawingArea({
+				x: vertical ? Math.round(position) : 0,
+				y: vertical ? 0 : Math.round(position),
+				width: vertical ? 1 : global.stage.width,
+				height: vertical ? global.stage.height : 1,
+				reactive: false,
+			});
+			actor.connect('repaint', area => {
+				const cr = area.get_context();
+				const [width, height] = area.get_surface_size();
+				cr.setSourceRGBA(0.2, 0.52, 0.89, 0.9);
+				cr.setLineWidth(1);
+				cr.setDash(GUIDE_DASH, 0);
+				cr.moveTo(vertical ? 0.5 : 0, vertical ? 0 : 0.5);
+				cr.lineTo(vertical ? 0.5 : width, vertical ? height : 0.5);
+				cr.stroke();
+				cr.$dispose();
+			});
+			Main.layoutManager.uiGroup.add_child(actor);
+			this._actors.push(actor);
+		}
+	}
+
+	/**
+	 * Remove all guides
+	 */
+	hide() {
+		this._actors.forEach(actor => actor.destroy());
+		this._actors = [];
+		this._shown = '';
+	}
+
+	/**
+	 * Remove all guides for good
+	 */
+	destroy() {
+		this.hide();
+	}
+}
@@ -0,0 +1,629 @@
+/**
+ * Name:      Notes (sticky) Extension for GNOME
+ *            This file mirrors notes to a sync folder of Markdown files, so
+ *            notes can be edited in text editors and synced by other tools.
+ *            Every note is one `.md` file with its text and a front-matter
+ *            block holding its ID, title, type, color and geometry.
+ *            Changes go both ways. The checksums of both sides at the last
+ *            sync are kept in the `sync` folder of the notes data directory,
+ *            so a note that changed on both sides is detected and kept twice:
+ *            the note keeps its version and the file's version becomes a
+ *            conflict copy, as a new note and file.
+ * Version:   1.0
+ * Created:   17.03.2025
+ * URL:       https://github.com/shoaibzs/
+ * SPDX-License-Identifier: GPL-2.0-or-later
+ */
+
+'use strict';
+
+// Import GNOME libraries
+import GLib from 'gi://GLib';
+import Gio from 'gi://Gio';
+
+// Import our own modules
+import * as NoteStore from './noteStore.js';
+import * as Checklist from './checklist.js';
+import * as Exporter from './exporter.js';
+
+Gio._promisify(Gio.File.prototype, 'enumerate_children_async');
+Gio._promisify(Gio.File.prototype, 'delete_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'next_files_async');
+Gio._promisify(Gio.FileEnumerator.prototype, 'close_async');
+
+/**
+ * Delay in milliseconds before changes are synced, so bursts of file events
+ * and saves are handled at once
+ */
+const SYNC_DELAY = 500;
+
+/**
+ * Number of files listed at once when reading the sync folder
+ */
+const ENUMERATE_BATCH = 64;
+
+/**
+ * Offset of a conflict copy from its note, in pixels
+ */
+const CONFLICT_OFFSET = 32;
+
+/**
+ * Fields written to the front-matter, in this order
+ */
+const FRONT_MATTER_KEYS = ['id', 'title', 'type', 'color', 'x', 'y', 'width', 'height'];
+
+/**
+ * Fields of the front-matter that must be numbers
+ */
+const NUMBER_KEYS = ['x', 'y', 'width', 'height'];
+
+/**
+ * Format a note as the contents of its file
+ *
+ * @param {object} document - Note document
+ * @returns {string} - Markdown with front-matter
+ */
+export function formatNoteFile(document) {
+	const lines = FRONT_MATTER_KEYS.map(key => `${key}: ${JSON.stringify(document[key] ?? null)}`);
+	return `---\n${lines.join('\n')}\n---\n${document.text}\n`;
+}
+
+/**
+ * Read a note from the contents of its file
+ *
+ * Files without front-matter are notes with just a text. Unknown or
+ * invalid front-matter fields are ignored.
+ *
+ * @param {string} contents - File contents
+ * @returns {object} - `{ id, fields }`, where `fields` holds the text and the valid front-matter fields
+ */
+export function parseNoteFile(contents) {
+	const fields = {};
+	let id = null;
+	let text = contents;
+
+	const frontMatter = contents.match(/^---\r?\n([\s\S]*?)\r?\n---(?:\r?\n|$)/);
+	if (frontMatter) {
+		text = contents.slice(frontMatter[0].length);
+		for (const line of frontMatter[1].split(/\r?\n/)) {
+			const pair = line.match(/^(\w+):\s*(.*)$/);
+			if (!pair || !FRONT_MATTER_KEYS.includes(pair[1])) {
+				continue;
+			}
+			let value;
+			try {
+				value = JSON.parse(pair[2]);
+			} catch (e) {
+				// Hand-written values are often not quoted
+				value = pair[2].trim();
+			}
+			if (value === null) {
+				continue;
+			}
+			if (NUMBER_KEYS.includes(pair[1])) {
+				value = Number(value);
+				if (!Number.isFinite(value)) {
+					continue;
+				}
+			} else {
+				value = String(value);
+			}
+			if (pair[1] === 'id') {
+				id = value;
+			} else {
+				fields[pair[1]] = value;
+			}
+		}
+	}
+
+	// Editors end files with a newline
+	fields.text = text.replace(/\r?\n$/, '');
+	if (fields.type !== undefined && fields.type !== 'checklist') {
+		fields.type = 'text';
+	}
+	return { id, fields };
+}
+
+/**
+ * Apply the contents of a file to a note document
+ *
+ * @param {object} document - Note document
+ * @param {string} contents - File contents
+ * @returns {object} - New document with the text and front-matter fields of the file
+ */
+function withFile(document, contents) {
+	const merged = { ...document, ...parseNoteFile(contents).fields };
+	merged.items = merged.type === 'checklist' ? Checklist.parseChecklist(merged.text) : [];
+	return merged;
+}
+
+/**
+ * Compute the checksum of file contents
+ *
+ * @param {string} contents - File contents
+ * @returns {string}
+ */
+function checksum(contents) {
+	return GLib.compute_checksum_for_string(GLib.ChecksumType.SHA256, contents, -1);
+}
+
+/**
+ * FolderSync class
+ *
+ * Keeps the notes and the files of a sync folder in step. The folder is
+ * watched with a Gio.FileMonitor, and notes report their saves through
+ * `noteSaved()`. Every sync compares all notes and files with their
+ * checksums at the last sync, so missed events are caught up later.
+ *
+ * Every sync reads all files of the folder, with asynchronous Gio calls so
+ * the shell doesn't stall on a slow or network folder. The cost grows with
+ * the number of notes, which is fine for the few hundred notes people keep.
+ */
+export class FolderSync {
+	/**
+	 * Create a sync for a folder
+	 *
+	 * @param {string} directory - Path of the sync folder
+	 * @param {string} stateDirectory - Folder keeping the sync state
+	 * @param {object} callbacks
+	 * @param {Function} callbacks.getNotes - Returns the notes to sync
+	 * @param {Function} callbacks.onCreated - Called with a note document read from a new file,
+	 *   returns the new note; the ID of the document is null or may be taken already
+	 * @param {Function} callbacks.onChanged - Called with a note and its document after its file changed
+	 * @param {Function} callbacks.onDeleted - Called with a note whose file was deleted
+	 * @param {Function} callbacks.onConflict - Called with the conflict copy of a note that changed on both sides
+	 */
+	constructor(directory, stateDirectory, { getNotes, onCreated, onChanged, onDeleted, onConflict }) {
+		this._directory = directory;
+		this._stateDirectory = stateDirectory;
+		this._getNotes = getNotes;
+		this._onCreated = onCreated;
+		this._onChanged = onChanged;
+		this._onDeleted = onDeleted;
+		this._onConflict = onConflict;
+
+		// Note ID -> { name, file, local }, with the file name and the
+		// checksums of the file and of the note at the last sync
+		this._state = new Map();
+
+		this._monitor = null;
+		this._timeoutId = 0;
+		this._syncing = false;
+		this._pending = false;
+		this._cancellable = new Gio.Cancellable();
+	}
+
+	/**
+	 * Sync everything and start watching the folder
+	 */
+	start() {
+		this._start().catch(e => log(`Notes Extension: Error starting sync with ${this._directory}: ${e}`));
+	}
+
+	/**
+	 * Read the sync state, then sync and watch the folder
+	 *
+	 * The folder is only created on the first sync with it. A folder that
+	 * was synced before and is missing now may be on a drive that isn't
+	 * mounted, so it is watched and synced when it comes back instead.
+	 */
+	async _start() {
+		await this._loadState();
+		if (this._cancellable.is_cancelled()) {
+			return;
+		}
+		if (this._state.size === 0) {
+			GLib.mkdir_with_parents(this._directory, 0o755);
+		}
+
+		try {
+			this._monitor = Gio.File.new_for_path(this._directory).monitor_directory(
+				Gio.FileMonitorFlags.WATCH_MOVES, this._cancellable);
+			this._monitor.connect('changed', () => this.schedule());
+		} catch (e) {
+			log(`Notes Extension: Error watching sync folder ${this._directory}: ${e}`);
+		}
+		await this._sync();
+	}
+
+	/**
+	 * Sync soon
+	 */
+	schedule() {
+		if (this._timeoutId) {
+			GLib.source_remove(this._timeoutId);
+		}
+		this._timeoutId = GLib.timeout_add(GLib.PRIORITY_DEFAULT, SYNC_DELAY, () => {
+			this._timeoutId = 0;
+			this._sync();
+			return GLib.SOURCE_REMOVE;
+		});
+	}
+
+	/**
+	 * Tell the sync that a note was written to the store
+	 *
+	 * @param {object} document - Saved note document
+	 */
+	noteSaved(document) {
+		if (this._state.get(document.id)?.local !== checksum(formatNoteFile(document))) {
+			this.schedule();
+		}
+	}
+
+	/**
+	 * Path of the file keeping the sync state
+	 *
+	 * @returns {string}
+	 */
+	get _statePath() {
+		return GLib.build_filenamev([this._stateDirectory, 'state.json']);
+	}
+
+	/**
+	 * Read the sync state of this folder
+	 *
+	 * The state of another folder is dropped, so switching folders never
+	 * deletes notes or files.
+	 */
+	async _loadState() {
+		this._state.clear();
+		let contents;
+		try {
+			[contents] = await Gio.File.new_for_path(this._statePath).load_contents_async(this._cancellable);
+		} catch (e) {
+			if (!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND) &&
+				!e.matches(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+				log(`Notes Extension: Error reading sync state, syncing from scratch: ${e}`);
+			}
+			return;
+		}
+		try {
+			const data = JSON.parse(new TextDecoder().decode(contents));
+			if (data.directory !== this._directory) {
+				return;
+			}
+			for (const [id, entry] of Object.entries(data.notes)) {
+				this._state.set(id, entry);
+			}
+		} catch (e) {
+			log(`Notes Extension: Error reading sync state, syncing from scratch: ${e}`);
+		}
+	}
+
+	/**
+	 * Write the sync state
+	 *
+	 * The write isn't cancelled when the sync stops, so the state of the
+	 * last sync is kept.
+	 */
+	async _saveState() {
+		try {
+			GLib.mkdir_with_parents(this._stateDirectory, 0o755);
+			const data = JSON.stringify({
+				directory: this._directory,
+				notes: Object.fromEntries(this._state),
+			}, null, '\t');
+			await Gio.File.new_for_path(this._statePath).replace_contents_bytes_async(
+				new GLib.Bytes(new TextEncoder().encode(data)), null, false, Gio.FileCreateFlags.NONE, null);
+		} catch (e) {
+			log(`Notes Extension: Error saving sync state: ${e}`);
+		}
+	}
+
+	/**
+	 * Read all note files of the folder
+	 *
+	 * Hidden files, like the temporary files of sync tools, are skipped.
+	 * Files that can't be read are listed with null contents, so their
+	 * notes are left alone until they can be read again.
+	 *
+	 * @returns {Promise<Map>} - File name -> `{ name, contents, hash, id }`
+	 * @throws if the folder can't be listed
+	 */
+	async _readFiles() {
+		const files = new Map();
+		const enumerator = await Gio.File.new_for_path(this._directory).enumerate_children_async(
+			'standard::name,standard::type', Gio.FileQueryInfoFlags.NONE, GLib.PRIORITY_DEFAULT, this._cancellable);
+		try {
+			let infos;
+			while ((infos = await enumerator.next_files_async(ENUMERATE_BATCH, GLib.PRIORITY_DEFAULT,
+				this._cancellable)).length > 0) {
+				for (const info of infos) {
+					const name = info.get_name();
+					if (name.startsWith('.') || !name.endsWith('.md') ||
+						info.get_file_type() !== Gio.FileType.REGULAR) {
+						continue;
+					}
+					files.set(name, await this._readFile(name));
+				}
+			}
+		} finally {
+			enumerator.close_async(GLib.PRIORITY_DEFAULT, null).catch(() => {});
+		}
+		return files;
+	}
+
+	/**
+	 * Read one note file
+	 *
+	 * @param {string} name - File name
+	 * @returns {Promise<object>} - File as `{ name, contents, hash, id }`, with null contents if it can't be read
+	 */
+	async _readFile(name) {
+		try {
+			const [data] = await Gio.File.new_for_path(this._path(name)).load_contents_async(this._cancellable);
+			const contents = new TextDecoder().decode(data);
+			return { name, contents, hash: checksum(contents), id: parseNoteFile(contents).id };
+		} catch (e) {
+			if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+				throw e;
+			}
+			log(`Notes Extension: Error reading ${name} from the sync folder: ${e}`);
+			return { name, contents: null, hash: null, id: null };
+		}
+	}
+
+	/**
+	 * Build the path of a file in the sync folder
+	 *
+	 * @param {string} name - File name
+	 * @returns {string}
+	 */
+	_path(name) {
+		return GLib.build_filenamev([this._directory, name]);
+	}
+
+	/**
+	 * Find a free file name for a note
+	 *
+	 * @param {string} label - Title or beginning of the text
+	 * @param {Map} files - Files of the folder
+	 * @returns {string} - File name
+	 */
+	_newName(label, files) {
+		const base = Exporter.safeFileName(label) || 'note';
+		let name = `${base}.md`;
+		for (let count = 2; files.has(name) || GLib.file_test(this._path(name), GLib.FileTest.EXISTS); count++) {
+			name = `${base} ${count}.md`;
+		}
+		return name;
+	}
+
+	/**
+	 * Plan writing a note to its file and remember both sides as synced
+	 *
+	 * The file is written by _applyChanges(), which goes back to the
+	 * previous state of the note if the write fails.
+	 *
+	 * @param {string} name - File name
+	 * @param {object} document - Note document
+	 * @param {Map} files - Files of the folder, updated with the new file
+	 * @param {object[]} changes - Planned file changes
+	 */
+	_writeFile(name, document, files, changes) {
+		const contents = formatNoteFile(document);
+		const hash = checksum(contents);
+		changes.push({ name, contents, id: document.id, previous: this._state.get(document.id) });
+		files.set(name, { name, contents, hash, id: document.id });
+		this._state.set(document.id, { name, file: hash, local: hash });
+	}
+
+	/**
+	 * Remember a note and its file as synced
+	 *
+	 * @param {NoteBox} note - Note
+	 * @param {object} file - File as `{ name, hash }`
+	 */
+	_remember(note, file) {
+		this._state.set(note.id, {
+			name: file.name,
+			file: file.hash,
+			local: checksum(formatNoteFile(note.serialize())),
+		});
+	}
+
+	/**
+	 * Bring the notes and the files in step
+	 *
+	 * Syncs requested while a sync runs are done right after it.
+	 */
+	async _sync() {
+		if (this._syncing) {
+			this._pending = true;
+			return;
+		}
+		this._syncing = true;
+		try {
+			do {
+				this._pending = false;
+				await this._syncAll();
+				await this._saveState();
+			} while (this._pending && !this._cancellable.is_cancelled());
+		} catch (e) {
+			if (!e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+				log(`Notes Extension: Error syncing notes with ${this._directory}, sync skipped: ${e}`);
+			}
+		} finally {
+			this._syncing = false;
+		}
+	}
+
+	/**
+	 * Compare every note and every file with the last sync
+	 *
+	 * The files are read first, then the notes are compared with them in
+	 * one go, without giving the main loop a chance to change the notes in
+	 * between. The planned file changes are written at the end.
+	 *
+	 * @throws if the folder can't be listed or lost all its files, before anything is changed
+	 */
+	async _syncAll() {
+		const files = await this._readFiles();
+		this._cancellable.set_error_if_cancelled();
+		if (files.size === 0 && this._state.size > 0) {
+			// An unmounted mount point or a sync tool that recreates its
+			// files looks like this; deleting every note would be wrong
+			throw new Error('the folder has no note files any more, waiting for them to come back');
+		}
+
+		const changes = [];
+		const handled = new Set();
+		const findFile = (id, entry) =>
+			(entry && files.get(entry.name)) ?? [...files.values()].find(file => file.id === id);
+
+		for (const note of [...this._getNotes()]) {
+			const document = note.serialize();
+			const local = checksum(formatNoteFile(document));
+			const entry = this._state.get(note.id);
+			const file = findFile(note.id, entry);
+
+			if (file?.contents === null) {
+				// The file is there but can't be read now
+				handled.add(file.name);
+				continue;
+			}
+			if (!file) {
+				if (entry && entry.local === local) {
+					// The file was deleted and the note didn't change since
+					this._state.delete(note.id);
+					this._onDeleted(note);
+				} else {
+					this._writeFile(entry?.name ?? this._newName(NoteStore.describe(document), files),
+						document, files, changes);
+				}
+				handled.add(this._state.get(note.id)?.name);
+				continue;
+			}
+
+			handled.add(file.name);
+			const fileChanged = !entry || entry.file !== file.hash;
+			const localChanged = !entry || entry.local !== local;
+			if (file.hash === local) {
+				this._state.set(note.id, { name: file.name, file: file.hash, local });
+			} else if (localChanged && fileChanged) {
+				this._resolveConflict(note, file, files, changes);
+			} else if (localChanged) {
+				this._writeFile(file.name, document, files, changes);
+			} else if (fileChanged) {
+				this._onChanged(note, withFile(document, file.contents));
+				this._remember(note, file);
+			} else if (entry.name !== file.name) {
+				// The file was renamed
+				this._state.set(note.id, { ...entry, name: file.name });
+			}
+		}
+
+		// Files without a note
+		const noteIds = new Set(this._getNotes().map(note => note.id));
+		for (const [id, entry] of [...this._state]) {
+			if (noteIds.has(id)) {
+				continue;
+			}
+			const file = files.get(entry.name);
+			if (file?.contents === null) {
+				continue;
+			}
+			if (file && file.hash === entry.file) {
+				// The note was deleted and the file didn't change since
+				changes.push({ name: file.name, contents: null, id: null });
+				files.delete(file.name);
+			}
+			this._state.delete(id);
+		}
+		for (const file of files.values()) {
+			if (handled.has(file.name) || file.contents === null) {
+				continue;
+			}
+			const document = NoteStore.migrate({ version: NoteStore.SCHEMA_VERSION, id: file.id });
+			const note = this._onCreated(withFile(document, file.contents));
+			if (note) {
+				this._remember(note, file);
+			}
+		}
+
+		await this._applyChanges(changes);
+	}
+
+	/**
+	 * Keep both versions of a note that changed on both sides
+	 *
+	 * The note keeps its version, which replaces the file. The version of
+	 * the file becomes a new note with its own file.
+	 *
+	 * @param {NoteBox} note - Note
+	 * @param {object} file - File of the note as `{ name, contents }`
+	 * @param {Map} files - Files of the folder
+	 * @param {object[]} changes - Planned file changes
+	 */
+	_resolveConflict(note, file, files, changes) {
+		const document = note.serialize();
+		const version = withFile({ ...document, id: null }, file.contents);
+		const title = `${NoteStore.describe(version)} (conflict)`;
+		// Show the copy next to the note, not hidden under it
+		const copy = this._onCreated({
+			...version,
+			title,
+			reminder: null,
+			x: version.x + CONFLICT_OFFSET,
+			y: version.y + CONFLICT_OFFSET,
+		});
+		if (copy) {
+			this._writeFile(this._newName(title, files), copy.serialize(), files, changes);
+			this._onConflict(copy);
+		}
+		this._writeFile(file.name, document, files, changes);
+	}
+
+	/**
+	 * Write and delete the planned files
+	 *
+	 * A note whose file can't be written goes back to its previous state,
+	 * so the next sync tries again.
+	 *
+	 * @param {object[]} changes - Files as `{ name, contents, id, previous }`, null contents to delete
+	 */
+	async _applyChanges(changes) {
+		for (const { name, contents, id, previous } of changes) {
+			const file = Gio.File.new_for_path(this._path(name));
+			try {
+				if (contents === null) {
+					await file.delete_async(GLib.PRIORITY_DEFAULT, this._cancellable);
+				} else {
+					await file.replace_contents_bytes_async(new GLib.Bytes(new TextEncoder().encode(contents)),
+						null, false, Gio.FileCreateFlags.NONE, this._cancellable);
+				}
+			} catch (e) {
+				if (e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.CANCELLED)) {
+					throw e;
+				}
+				if (contents === null && e.matches?.(Gio.IOErrorEnum, Gio.IOErrorEnum.NOT_FOUND)) {
+					continue;
+				}
+				log(`Notes Extension: Error ${contents === null ? 'deleting' : 'writing'} ${name} in the sync folder: ${e}`);
+				if (id !== null && this._state.get(id)?.name === name) {
+					if (previous) {
+						this._state.set(id, previous);
+					} else {
+						this._state.delete(id);
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * Stop syncing
+	 */
+	destroy() {
+		this._cancellable.cancel();
+		if (this._timeoutId) {
+			GLib.source_remove(this._timeoutId);
+			this._timeoutId = 0;
+		}
+		if (this._monitor) {
+			this._monitor.cancel();
+			this._monitor = null;
+		}
+	}
+}